@@ -0,0 +1,89 @@
+// Text and sound versions of a run, for students who cannot see the charts or the animation.
+// Picks out the key moments of a run, reads them as sentences or a table, and maps a value to a pitch.
+
+/**
+ * A chart line as the charts draw it: sample times, values and an optional formatter with units.
+ * @typedef {Object} ChartLine
+ * @property {string} name
+ * @property {number[]} t
+ * @property {number[]} y
+ * @property {(v:number) => string} [show]
+ */
+
+// Index of the last sample at or before time tt (0 before the first)
+function sampleIndex(t, tt){
+  let lo = 0, hi = t.length - 1;
+  if (!(tt > t[0])) return 0;
+  if (tt >= t[hi]) return hi;
+  while (hi - lo > 1){ const mid = (lo + hi) >> 1; if (t[mid] <= tt) lo = mid; else hi = mid; }
+  return lo;
+}
+
+const showValue = (L, v) => L.show ? L.show(v) : String(+v.toPrecision(4));
+export const timeText = (t) => `t = ${t.toFixed(t < 10 ? 2 : 1)} s`;
+
+/**
+ * Moments worth reading out, in time order: the start, the largest speed and KE, the top of a
+ * launch, any chart events (parachute, Mach 1, posture changes) and the landing or the cutoff.
+ * Moments at the same time share one entry.
+ * @param {import('./engine.mjs').SimResult} res
+ * @param {Array<{t:number, label:string}>} [events]
+ * @returns {Array<{t:number, label:string}>}
+ */
+export function keyMoments(res, events=[]){
+  const { t, v, ke, h } = res.series;
+  let iv = 0, ik = 0;
+  for (let i=1;i<t.length;i++){ if (v[i] > v[iv]) iv = i; if (ke[i] > ke[ik]) ik = i; }
+  const list = [{ t: 0, label: 'Start' }, { t: t[iv], label: 'Max speed' }, { t: t[ik], label: 'Max KE' }];
+  if (res.apex.t > 0 && res.apex.h > h[0]) list.push({ t: res.apex.t, label: 'Highest point' });
+  list.push(...events.map(e => ({ t: e.t, label: e.label })));
+  list.push({ t: res.tEnd, label: res.endLabel === 'ground' ? 'Impact' : 'Time limit' });
+  const merged = [];
+  for (const m of list.sort((a, b) => a.t - b.t)){
+    const prev = merged[merged.length-1];
+    if (prev && Math.abs(prev.t - m.t) < 1e-9){ if (!prev.label.split(', ').includes(m.label)) prev.label += `, ${m.label}`; }
+    else merged.push({ ...m });
+  }
+  return merged;
+}
+
+/**
+ * A data table of each line's value at each moment. Lines that have ended by then (a shorter
+ * pinned run, say) show a dash.
+ * @param {ChartLine[]} lines
+ * @param {Array<{t:number, label:string}>} moments
+ * @returns {{ head: string[], rows: string[][] }}
+ */
+export function tableAt(lines, moments){
+  const head = ['Moment', 'Time (s)', ...lines.map(L => L.name)];
+  const rows = moments.map(m => [m.label, m.t.toFixed(m.t < 10 ? 2 : 1), ...lines.map(L => {
+    if (!L.t.length || m.t > L.t[L.t.length-1] + 1e-9) return '—';
+    return showValue(L, L.y[sampleIndex(L.t, m.t)]);
+  })]);
+  return { head, rows };
+}
+
+/**
+ * One sentence for a screen reader, e.g. "Max speed. t = 50.1 s: Speed 377 m/s, Altitude 27.8 km."
+ * @param {ChartLine[]} lines
+ * @param {number} t
+ * @param {string} [label]  Name of the moment, if the cursor is on one
+ * @returns {string}
+ */
+export function describeAt(lines, t, label=''){
+  const parts = lines.filter(L => L.t.length && t <= L.t[L.t.length-1] + 1e-9).map(L => `${L.name} ${showValue(L, L.y[sampleIndex(L.t, t)])}`);
+  return `${label ? `${label}. ` : ''}${timeText(t)}: ${parts.length ? parts.join(', ') : 'no data'}.`;
+}
+
+/**
+ * Pitch for the sonification. 0…max maps to low…low·2^octaves on a musical (logarithmic) scale,
+ * so equal steps of speed or KE sound like equal steps of pitch.
+ * @param {number} value
+ * @param {number} max
+ * @param {{ low?: number, octaves?: number }} [opts]
+ * @returns {number}  Frequency (Hz)
+ */
+export function pitchFor(value, max, { low=220, octaves=2 } = {}){
+  const u = max > 0 ? Math.min(1, Math.max(0, value / max)) : 0;
+  return low * 2 ** (octaves * u);
+}
@@ -0,0 +1,578 @@
+// Headless simulation engine for the freefall and catapult scenarios.
+// No DOM access: import it in the browser (script.js) or under plain Node (tests).
+
+export const g0 = 9.80665; // m/s^2
+export const R = 6_371_000; // Earth radius (m)
+const R_AIR = 287.053; // specific gas constant of dry air (J/(kg·K))
+const GAMMA_AIR = 1.4; // ratio of specific heats
+const R_GAS = 8.314462618; // molar gas constant (J/(mol·K))
+const R_GEOPOT = 6_356_766; // Earth radius used for geopotential height in US-1976 (m)
+// US Standard Atmosphere 1976 layers: [base geopotential height (m), base temperature (K), lapse rate (K/m), base pressure (Pa)]
+const ISA_LAYERS = [
+  [0,     288.15, -0.0065, 101325],
+  [11000, 216.65,  0,      22632.06],
+  [20000, 216.65,  0.001,  5474.889],
+  [32000, 228.65,  0.0028, 868.0187],
+  [47000, 270.65,  0,      110.9063],
+  [51000, 270.65, -0.0028, 66.93887],
+  [71000, 214.65, -0.002,  3.956420],
+];
+/**
+ * A planet or moon: gravity, size and a simple exponential atmosphere.
+ * @typedef {Object} Body
+ * @property {string} name
+ * @property {number} g0         Surface gravitational field strength (N/kg)
+ * @property {number} gSimple    Uniform g for the simplified gravity model (Earth keeps the GCSE 10 N/kg)
+ * @property {number} R          Radius (m)
+ * @property {number} rho0       Surface air density (kg/m³); 0 for no atmosphere
+ * @property {number} H          Atmospheric scale height (m)
+ * @property {number} molarMass  Mean molar mass of the atmosphere (kg/mol)
+ * @property {number} gamma      Ratio of specific heats of the atmosphere
+ * @property {boolean} [isa]     The layered standard atmosphere applies (Earth only)
+ */
+export const BODIES = {
+  earth: { name: 'Earth', g0, gSimple: 10, R, rho0: 1.225, H: 8500, molarMass: 0.0289644, gamma: GAMMA_AIR, isa: true },
+  moon: { name: 'Moon', g0: 1.625, gSimple: 1.6, R: 1_737_400, rho0: 0, H: 10000, molarMass: 0.0289644, gamma: GAMMA_AIR },
+  // Thin CO2 atmosphere, surface about 210 K
+  mars: { name: 'Mars', g0: 3.721, gSimple: 3.7, R: 3_389_500, rho0: 0.020, H: 11100, molarMass: 0.04334, gamma: 1.29 },
+  // Thick, cold nitrogen atmosphere (about 94 K at the surface), denser than Earth's
+  titan: { name: 'Titan', g0: 1.352, gSimple: 1.4, R: 2_574_700, rho0: 5.3, H: 20000, molarMass: 0.0280, gamma: 1.4 },
+};
+const EARTH = BODIES.earth;
+
+// Built-in transonic drag-rise profile for a jumper: [Mach, Cd multiplier]
+export const DRAG_RISE = [[0, 1.0], [0.6, 1.0], [0.8, 1.1], [0.9, 1.3], [1.0, 1.6], [1.1, 1.75], [1.2, 1.7], [1.5, 1.55], [2.0, 1.45], [3.0, 1.4]];
+
+// Built-in mid-latitude wind profile with jet-stream shear peaking near the tropopause: [altitude (m), wind (m/s)]
+export const JET_STREAM = [[0, 5], [1000, 8], [5000, 20], [9000, 40], [11000, 50], [13000, 40], [17000, 15], [25000, 5], [40000, 10]];
+
+export function rhoAt(h, rho0, H){
+  // Simple exponential atmosphere
+  return rho0 * Math.exp(-Math.max(0,h) / H);
+}
+
+// Layered ISA / US-1976 standard atmosphere (valid to ~86 km, isothermal above)
+export function isaAt(h){
+  const z = Math.min(84852, R_GEOPOT * Math.max(0,h) / (R_GEOPOT + Math.max(0,h)));
+  let k = ISA_LAYERS.length - 1;
+  while (k > 0 && z < ISA_LAYERS[k][0]) k--;
+  const [zb, Tb, L, Pb] = ISA_LAYERS[k];
+  const T = Tb + L * (z - zb);
+  const P = L === 0
+    ? Pb * Math.exp(-g0 * (z - zb) / (R_AIR * Tb))
+    : Pb * Math.pow(Tb / T, g0 / (R_AIR * L));
+  return { rho: P / (R_AIR * T), T };
+}
+
+// Density, temperature and speed of sound at altitude h.
+// The exponential model is an isothermal atmosphere, so its temperature follows from H = R_specific T / g0.
+// The layered model is Earth's; other bodies always use the exponential one.
+export function atmosphereAt(h, atmosModel, rho0, H, body=EARTH){
+  if (atmosModel === 'isa' && body.isa){
+    const { rho, T } = isaAt(h);
+    return { rho, T, a: Math.sqrt(GAMMA_AIR * R_AIR * T) };
+  }
+  const Rs = R_GAS / body.molarMass;
+  const T = H * body.g0 / Rs;
+  return { rho: rhoAt(h, rho0, H), T, a: Math.sqrt(body.gamma * Rs * T) };
+}
+
+// Linear interpolation in a table of [x, y] points sorted by x, held flat beyond its ends
+function interpolate(table, x){
+  if (x <= table[0][0]) return table[0][1];
+  for (let i=1;i<table.length;i++){
+    const [x1, y1] = table[i];
+    if (x <= x1){
+      const [x0, y0] = table[i-1];
+      return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+    }
+  }
+  return table[table.length-1][1];
+}
+
+// A table of [x, y] points sorted by x, as interpolate() needs
+const sortedTable = (table) => table.slice().sort((a, b) => a[0] - b[0]);
+
+// Cd multiplier at a given Mach number from a [Mach, factor] table
+export function cdFactorAt(mach, curve){
+  return curve && curve.length ? interpolate(curve, mach) : 1;
+}
+
+// Horizontal wind (m/s, positive towards +x) at altitude h from an [altitude, wind] table; still air without one
+export function windAt(h, profile){
+  return profile && profile.length ? interpolate(profile, h) : 0;
+}
+
+/**
+ * Body position schedule: keyframes reached at a time since exit or on falling through an altitude.
+ * @typedef {Object} PostureSchedule
+ * @property {'time'|'altitude'} key
+ * @property {number} [blend=0]  Length of the smooth change into each keyframe (s, or m of fall)
+ * @property {Array<{at:number, Cd:number, A:number}>} frames
+ */
+
+// Keyframes in the order they are reached: by time, or from the highest altitude down
+export function sortPosture(schedule){
+  const sign = schedule.key === 'altitude' ? -1 : 1;
+  return { ...schedule, frames: schedule.frames.slice().sort((a, b) => sign * (a.at - b.at)) };
+}
+
+// Body Cd and A at time t and altitude h. Before the first keyframe the base values hold;
+// each keyframe then takes over with a smoothstep blend from the one before it.
+// index is the keyframe in charge (-1 for the base), frames must already be sorted.
+export function postureAt(schedule, base, t, h){
+  const { key, blend=0, frames } = schedule;
+  const pos = key === 'altitude' ? -h : t;
+  const at = (f) => key === 'altitude' ? -f.at : f.at;
+  let i = -1;
+  while (i + 1 < frames.length && at(frames[i + 1]) <= pos) i++;
+  if (i < 0) return { Cd: base.Cd, A: base.A, index: -1 };
+  const prev = i > 0 ? frames[i - 1] : base, cur = frames[i];
+  const u = blend > 0 ? Math.min(1, (pos - at(cur)) / blend) : 1;
+  const w = u * u * (3 - 2 * u);
+  return { Cd: prev.Cd + (cur.Cd - prev.Cd) * w, A: prev.A + (cur.A - prev.A) * w, index: i };
+}
+
+export function gAt(h, gravityModel, body=EARTH){
+  if (gravityModel === 'simplified') return body.gSimple;
+  return body.g0 * (body.R/(body.R + Math.max(0,h)))**2;
+}
+
+// Fixed-step integrators. Each advances the state s = [x, y, vx, vy, eDiss, eWind] by dt using f(t, s) = ds/dt.
+// Everything after the velocities is an energy tally that just accumulates.
+export const INTEGRATORS = {
+  // Explicit Euler: everything from the derivative at the start of the step
+  euler(f, t, s, dt){
+    const k = f(t, s);
+    return s.map((si, i) => si + k[i] * dt);
+  },
+  // Semi-implicit (symplectic) Euler: update velocity first, then move with the new velocity
+  semiImplicit(f, t, s, dt){
+    const k = f(t, s);
+    const vx = s[2] + k[2] * dt, vy = s[3] + k[3] * dt;
+    return [s[0] + vx * dt, s[1] + vy * dt, vx, vy, ...s.slice(4).map((si, i) => si + k[4+i] * dt)];
+  },
+  // Velocity Verlet, with a predicted velocity for the velocity-dependent drag at the end of the step
+  verlet(f, t, s, dt){
+    const k1 = f(t, s);
+    const x = s[0] + s[2] * dt + 0.5 * k1[2] * dt * dt;
+    const y = s[1] + s[3] * dt + 0.5 * k1[3] * dt * dt;
+    const k2 = f(t + dt, [x, y, s[2] + k1[2] * dt, s[3] + k1[3] * dt, ...s.slice(4)]);
+    return [x, y, s[2] + 0.5 * (k1[2] + k2[2]) * dt, s[3] + 0.5 * (k1[3] + k2[3]) * dt, ...s.slice(4).map((si, i) => si + 0.5 * (k1[4+i] + k2[4+i]) * dt)];
+  },
+  // Classic fourth-order Runge–Kutta
+  rk4(f, t, s, dt){
+    const add = (a, k, c) => a.map((ai, i) => ai + k[i] * c);
+    const k1 = f(t, s);
+    const k2 = f(t + dt/2, add(s, k1, dt/2));
+    const k3 = f(t + dt/2, add(s, k2, dt/2));
+    const k4 = f(t + dt, add(s, k3, dt));
+    return s.map((si, i) => si + (dt/6) * (k1[i] + 2*k2[i] + 2*k3[i] + k4[i]));
+  },
+};
+
+// Dormand–Prince 5(4) coefficients for the adaptive RK45 integrator
+const DP_C = [0, 1/5, 3/10, 4/5, 8/9, 1, 1];
+const DP_A = [
+  [],
+  [1/5],
+  [3/40, 9/40],
+  [44/45, -56/15, 32/9],
+  [19372/6561, -25360/2187, 64448/6561, -212/729],
+  [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656],
+  [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84],
+];
+const DP_B5 = [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84, 0];
+const DP_B4 = [5179/57600, 0, 7571/16695, 393/640, -92097/339200, 187/2100, 1/40];
+
+// One Dormand–Prince trial step: the 5th-order result and its error estimate relative to tol
+export function stepRK45(f, t, s, dt, tol){
+  const k = [];
+  for (let j=0;j<7;j++){
+    const sj = s.map((si, i) => si + dt * DP_A[j].reduce((acc, a, l) => acc + a * k[l][i], 0));
+    k.push(f(t + DP_C[j] * dt, sj));
+  }
+  const s5 = s.map((si, i) => si + dt * DP_B5.reduce((acc, b, l) => acc + b * k[l][i], 0));
+  let err = 0;
+  for (let i=0;i<s.length;i++){
+    const s4 = s[i] + dt * DP_B4.reduce((acc, b, l) => acc + b * k[l][i], 0);
+    err = Math.max(err, Math.abs(s5[i] - s4) / (tol * (1 + Math.abs(s5[i]))));
+  }
+  return { s: s5, err };
+}
+
+/**
+ * Inputs to simulate(). Lengths in m, times in s, masses in kg.
+ * @typedef {Object} SimParams
+ * @property {'freefall'|'catapult'} scenario
+ * @property {number} m              Mass of jumper or projectile (kg)
+ * @property {number} h0             Start altitude (m): the exit altitude, or the height of the catapult's launch platform
+ * @property {number} dt             Time step (s); the largest step for 'rk45'
+ * @property {boolean} withDrag      Include air resistance (the parachute needs it)
+ * @property {'simplified'|'real'} gravityModel  Uniform g (10 N/kg on Earth), or g(h) = g0 (R/(R+h))²
+ * @property {Body} [body=BODIES.earth]  Planet or moon: gravity, radius and the atmosphere's gas properties
+ * @property {number} Cd             Body drag coefficient
+ * @property {number} A              Body cross-sectional area (m²)
+ * @property {number} rho0           Surface density for the exponential atmosphere (kg/m³)
+ * @property {number} H              Scale height for the exponential atmosphere (m)
+ * @property {'exponential'|'isa'} [atmosModel='exponential']
+ * @property {Array<[number, number]>|null} [cdMachCurve=null]  [Mach, Cd multiplier] points, in any order
+ * @property {Array<[number, number]>|null} [wind=null]  Freefall only: [altitude (m), horizontal wind (m/s)] points, in any order; one point is a constant wind
+ * @property {boolean} [withChute=false]  Freefall only
+ * @property {number} [deployAlt=0]       Parachute deploy altitude (m)
+ * @property {number} [chuteCd=0]         Canopy drag coefficient
+ * @property {number} [chuteA=0]          Canopy area (m²)
+ * @property {number} [inflateTime=0]     Time for the canopy Cd·A to ramp to full (s)
+ * @property {PostureSchedule|null} [posture=null]  Changes of body Cd and A during the run; Cd and A above are the starting posture
+ * @property {number} [springK=0]         Catapult spring constant (N/m)
+ * @property {number} [springX=0]         Catapult extension (m)
+ * @property {number} [launchAngleDeg=45] Catapult launch angle above horizontal (°)
+ * @property {'euler'|'semiImplicit'|'verlet'|'rk4'|'rk45'} [integrator='semiImplicit']
+ * @property {number} [tol=1e-6]          Error tolerance for 'rk45'
+ */
+
+/**
+ * Sampled time series, one entry per accepted step starting at t = 0.
+ * @typedef {Object} SimSeries
+ * @property {number[]} t      Time (s)
+ * @property {number[]} x      Horizontal position (m)
+ * @property {number[]} h      Altitude (m)
+ * @property {number[]} v      Speed over the ground, √(vx² + vy²) (m/s)
+ * @property {number[]} gpe    Gravitational potential energy relative to the ground (J)
+ * @property {number[]} ke     Kinetic energy, ½m(vx² + vy²) (J)
+ * @property {number[]} keh    Kinetic energy of the horizontal motion, ½m vx² (J)
+ * @property {number[]} ediss  Energy dissipated by drag so far (J)
+ * @property {number[]} ewind  Work done on the jumper by the wind so far (J)
+ * @property {number[]} wind   Wind at the current altitude (m/s)
+ * @property {number[]} mach   Mach number
+ * @property {number[]} a      Local speed of sound (m/s)
+ * @property {number[]} cd     Body drag coefficient in use
+ * @property {number[]} area   Body area in use (m²)
+ * @property {number[]} posture  Index of the posture keyframe in charge (-1 before the first)
+ * @property {number[]} chute  Canopy inflation fraction, 0–1
+ */
+
+/**
+ * Output of simulate().
+ * @typedef {Object} SimResult
+ * @property {number} tEnd      Time at landing or at the cutoff (s)
+ * @property {number} vEnd      Final speed (m/s)
+ * @property {number} range     Horizontal distance travelled (m): the catapult's range, or a freefall's landing offset downwind of the exit point
+ * @property {{t:number, h:number}} apex  Highest sample (the start, for a freefall)
+ * @property {number} landingAngleDeg  Angle of the final velocity below the horizontal (°); 90 for a freefall in still air
+ * @property {number|null} efficiency  Catapult only: launch KE as a fraction of the spring's EPE
+ * @property {number} keMax     Largest KE (J)
+ * @property {number} vMax      Largest speed (m/s)
+ * @property {number} eDiss     Total energy dissipated by drag (J)
+ * @property {number} windWork  Total work done by the wind (J)
+ * @property {number} machMax   Largest Mach number
+ * @property {{t:number, h:number, v:number, x:number}|null} deploy  Parachute release, if any
+ * @property {number} aOpenMax  Peak deceleration while the canopy opens (m/s²)
+ * @property {number} steps     Integration steps taken
+ * @property {SimSeries} series
+ * @property {'ground'|'time limit'} endLabel  Why the run stopped: landing, or the 3600 s (freefall) / 2000 s (catapult) cutoff
+ */
+
+/**
+ * Integrate one run from launch or exit until landing or the time cutoff.
+ * @param {SimParams} params
+ * @param {{ onProgress?: (p:{t:number, h:number, steps:number, tLimit:number}) => void, progressEvery?: number }} [opts]
+ *   onProgress is called every progressEvery steps, e.g. to update a progress bar from a worker
+ * @returns {SimResult}
+ */
+export function simulate(params, { onProgress=null, progressEvery=5000 } = {}){
+  const { m, h0, dt, withDrag, gravityModel, Cd, A, rho0, H, atmosModel='exponential', scenario, springK=0, springX=0, launchAngleDeg=45, integrator='semiImplicit', tol=1e-6, body=EARTH } = params;
+  const { withChute=false, deployAlt=0, chuteCd=0, chuteA=0, inflateTime=0 } = params;
+  const schedule = params.posture && params.posture.frames.length ? sortPosture(params.posture) : null;
+  const cdMachCurve = params.cdMachCurve && params.cdMachCurve.length ? sortedTable(params.cdMachCurve) : null;
+  const isCatapult = scenario === 'catapult';
+  // Freefall may end under a parachute; the catapult never deploys one
+  const chuteOn = !isCatapult && withDrag && withChute && deployAlt > 0 && chuteCd * chuteA > 0;
+  const tLimit = isCatapult ? 2000 : 3600;
+  const wind = !isCatapult && params.wind && params.wind.length ? sortedTable(params.wind) : null;
+
+  // State: [x (m), y altitude (m), vx (m/s), vy (m/s, up positive), energy dissipated by drag (J), work done by the wind (J)]
+  let s;
+  let efficiency = null;
+  if (isCatapult){
+    // 2D projectile launched from a platform of height h0; EPE all becomes launch KE
+    const epe = 0.5 * springK * springX * springX; // J
+    const v0 = launchSpeed(params);
+    const ang = (launchAngleDeg * Math.PI)/180;
+    efficiency = epe > 0 ? 0.5 * m * v0 * v0 / epe : null;
+    s = [0, Math.max(0, h0), v0 * Math.cos(ang), v0 * Math.sin(ang), 0, 0];
+  } else {
+    s = [0, h0, 0, 0, 0, 0];
+  }
+
+  let deploy = null; // { t, h, v } once the canopy is released
+  // Canopy inflates over inflateTime: ramp its Cd·A in linearly rather than jumping it
+  const chuteAt = (t) => !deploy ? 0 : (inflateTime > 0 ? Math.min(1, Math.max(0, (t - deploy.t) / inflateTime)) : 1);
+
+  // Everything the forces depend on at time t in state s.
+  // Drag and Mach number follow the velocity relative to the air, which moves with the wind.
+  function forces(t, s){
+    const [, y, vx, vy] = s;
+    const g = gAt(y, gravityModel, body);
+    const atm = atmosphereAt(y, atmosModel, rho0, H, body);
+    const u = windAt(y, wind);
+    const speed = Math.hypot(vx, vy);
+    const airspeed = Math.hypot(vx - u, vy);
+    const mach = atm.rho > 0 ? airspeed / atm.a : 0; // no air, no Mach number
+    const pose = schedule ? postureAt(schedule, { Cd, A }, t, y) : { Cd, A, index: -1 };
+    const cd = pose.Cd * cdFactorAt(mach, cdMachCurve);
+    const chute = chuteAt(t);
+    const Fd = withDrag ? 0.5 * atm.rho * (cd * pose.A + chute * chuteCd * chuteA) * airspeed * airspeed : 0;
+    const k = airspeed > 0 ? Fd / (m * airspeed) : 0; // drag acceleration per unit airspeed
+    return { g, atm, u, speed, airspeed, mach, cd, area: pose.A, posture: pose.index, chute, Fd, ax: -k * (vx - u), ay: -g - k * vy };
+  }
+  // Drag heats the air at Fd × airspeed; the rest of its work on the jumper, m ax u, comes from the wind
+  const deriv = (t, s) => {
+    const F = forces(t, s);
+    return [s[2], s[3], F.ax, F.ay, F.Fd * F.airspeed, m * F.ax * F.u];
+  };
+
+  const ts = [], xs = [], hs = [], vs = [], gpes = [], kes = [], kehs = [], diss = [], ewinds = [], winds = [], machs = [], sounds = [], cds = [], areas = [], postures = [], chutes = [];
+  let keMax = 0, vMax = 0, machMax = 0, aOpenMax = 0;
+  let apex = { t: 0, h: -Infinity };
+  function record(t, s){
+    const F = forces(t, s);
+    const ke = 0.5 * m * F.speed * F.speed;
+    ts.push(t); xs.push(s[0]); hs.push(s[1]); vs.push(F.speed);
+    gpes.push(gpeAt(m, s[1], gravityModel, body)); kes.push(ke); kehs.push(0.5 * m * s[2] * s[2]);
+    diss.push(s[4]); ewinds.push(s[5]); winds.push(F.u);
+    machs.push(F.mach); sounds.push(F.atm.a); cds.push(F.cd); areas.push(F.area); postures.push(F.posture); chutes.push(F.chute);
+    keMax = Math.max(keMax, ke);
+    vMax = Math.max(vMax, F.speed);
+    machMax = Math.max(machMax, F.mach);
+    if (s[1] > apex.h) apex = { t, h: s[1] };
+    // Opening shock: net upward acceleration once the canopy is out
+    if (deploy && F.ay > 0) aOpenMax = Math.max(aOpenMax, F.ay);
+  }
+
+  const advance = integrator === 'rk45'
+    ? (t, s, h) => stepRK45(deriv, t, s, h, tol).s
+    : (t, s, h) => (INTEGRATORS[integrator] || INTEGRATORS.semiImplicit)(deriv, t, s, h);
+
+  let t = 0;
+  let landed = false;
+  let steps = 0;
+  let hTry = dt; // adaptive step size, never larger than dt so the series keeps its resolution
+  const checkDeploy = () => {
+    if (chuteOn && !deploy && s[1] <= deployAlt) deploy = { t, h: s[1], v: Math.hypot(s[2], s[3]), x: s[0] };
+  };
+  checkDeploy();
+  record(t, s);
+  while (t < tLimit){
+    let step, next;
+    if (integrator === 'rk45'){
+      const hMin = dt * 1e-4;
+      let trial;
+      for (;;){
+        trial = stepRK45(deriv, t, s, hTry, tol);
+        if (trial.err <= 1 || hTry <= hMin) break;
+        hTry = Math.max(hMin, hTry * Math.max(0.2, 0.9 * Math.pow(trial.err, -0.2)));
+      }
+      step = hTry;
+      next = trial.s;
+      // Grow the next step when this one was comfortably within tolerance
+      hTry = Math.min(dt, step * Math.min(5, 0.9 * Math.pow(Math.max(trial.err, 1e-10), -0.2)));
+    } else {
+      step = dt;
+      next = advance(t, s, dt);
+    }
+    steps++;
+    if (onProgress && steps % progressEvery === 0) onProgress({ t, h: s[1], steps, tLimit });
+    // Ground contact: shorten the step (false position) so it ends on y = 0 instead of clamping
+    if (next[1] < 0){
+      let lo = 0, yLo = s[1], hi = step, yHi = next[1];
+      for (let it=0; it<8 && hi - lo > 1e-12; it++){
+        const h = lo + (hi - lo) * yLo / (yLo - yHi);
+        const trial = advance(t, s, h);
+        step = h; next = trial;
+        if (Math.abs(trial[1]) < 1e-9) break;
+        if (trial[1] < 0){ hi = h; yHi = trial[1]; } else { lo = h; yLo = trial[1]; }
+      }
+      next[1] = 0;
+      landed = true;
+    }
+    t += step;
+    s = next;
+    checkDeploy();
+    record(t, s);
+    if (landed) break;
+  }
+
+  return {
+    tEnd: t, vEnd: vs[vs.length-1] || 0, range: s[0], apex, landingAngleDeg: Math.atan2(-s[3], Math.abs(s[2])) * 180 / Math.PI, efficiency, keMax, vMax, eDiss: s[4], windWork: s[5], machMax, deploy, aOpenMax, steps,
+    series: { t: ts, gpe: gpes, ke: kes, keh: kehs, ediss: diss, ewind: ewinds, wind: winds, v: vs, h: hs, x: xs, mach: machs, a: sounds, cd: cds, area: areas, posture: postures, chute: chutes },
+    endLabel: landed ? 'ground' : 'time limit'
+  };
+}
+
+// n evenly spaced values from lo to hi inclusive
+export function linspace(lo, hi, n){
+  if (n <= 1) return [lo];
+  const out = [];
+  for (let i=0;i<n;i++) out.push(lo + (hi - lo) * i / (n - 1));
+  return out;
+}
+
+/**
+ * Indices that keep the shape of long series when drawn at a few points per pixel: for each of
+ * `buckets` equal slices of t[i0..i1] the first sample and the smallest and largest of each y series.
+ * Peaks therefore survive however many samples share a pixel.
+ * @param {number[]} t       Sample times, increasing
+ * @param {number[][]} ys    Series to preserve
+ * @param {number} i0        First index
+ * @param {number} i1        Last index (inclusive)
+ * @param {number} buckets   Usually the plot width in pixels
+ * @returns {number[]}  Increasing indices, always including i0 and i1
+ */
+export function minMaxIndices(t, ys, i0, i1, buckets){
+  if (i1 - i0 + 1 <= 4 * buckets){
+    const all = [];
+    for (let i=i0;i<=i1;i++) all.push(i);
+    return all;
+  }
+  const out = [];
+  const t0 = t[i0], span = (t[i1] - t0) || 1;
+  let i = i0;
+  for (let b=0; b<buckets && i<=i1; b++){
+    const tEnd = t0 + span * (b + 1) / buckets, last = b === buckets - 1;
+    if (t[i] > tEnd && !last) continue; // no samples in this slice
+    const start = i;
+    const lo = ys.map(() => i), hi = ys.map(() => i);
+    for (; i<=i1 && (t[i] <= tEnd || last); i++){
+      ys.forEach((y, k) => {
+        if (y[i] < y[lo[k]]) lo[k] = i;
+        if (y[i] > y[hi[k]]) hi[k] = i;
+      });
+    }
+    for (const j of [...new Set([start, ...lo, ...hi])].sort((a, b) => a - b)) out.push(j);
+  }
+  if (out[out.length-1] !== i1) out.push(i1);
+  return out;
+}
+
+/**
+ * Inputs that would make a run meaningless or too large to store, e.g. a negative mass or a tiny time step.
+ * @param {SimParams} params
+ * @returns {Array<{key: string, message: string}>}  One entry per problem, keyed by SimParams name; empty if the run can go ahead
+ */
+export function checkParams(params){
+  const p = params, problems = [];
+  const need = (key, ok, message) => { if (!ok) problems.push({ key, message }); };
+  const num = (x) => typeof x === 'number' && isFinite(x);
+  // Tables are checked row by row, so the message can say which row to fix
+  const rows = (key, table, ok, message) => {
+    const bad = table.findIndex(row => !ok(row));
+    need(key, bad < 0, `Row ${bad + 1} of the ${message}`);
+  };
+  const isCatapult = p.scenario === 'catapult';
+  need('m', num(p.m) && p.m > 0, 'Mass must be a number above 0 kg.');
+  need('dt', num(p.dt) && p.dt >= 0.001 && p.dt <= 10, 'Δt must be between 0.001 s and 10 s (smaller steps would store millions of samples).');
+  need('h0', num(p.h0) && (isCatapult ? p.h0 >= 0 : p.h0 > 0), isCatapult ? 'Launch height must be 0 m or more.' : 'Start altitude must be above 0 m.');
+  if (p.integrator === 'rk45') need('tol', num(p.tol) && p.tol > 0, 'The RK45 tolerance must be above 0.');
+  if (p.withDrag){
+    need('Cd', num(p.Cd) && p.Cd >= 0, 'Cd cannot be negative.');
+    need('A', num(p.A) && p.A >= 0, 'Area cannot be negative.');
+    need('rho0', num(p.rho0) && p.rho0 >= 0, 'Surface air density cannot be negative.');
+    need('H', num(p.H) && p.H > 0, 'Scale height must be above 0 m.');
+    if (!isCatapult && p.withChute){
+      need('deployAlt', num(p.deployAlt) && p.deployAlt >= 0, 'Deploy altitude cannot be negative.');
+      need('chuteCd', num(p.chuteCd) && p.chuteCd >= 0, 'Canopy Cd cannot be negative.');
+      need('chuteA', num(p.chuteA) && p.chuteA >= 0, 'Canopy area cannot be negative.');
+      need('inflateTime', num(p.inflateTime) && p.inflateTime >= 0, 'Inflation time cannot be negative.');
+    }
+    if (p.posture){
+      need('posture', num(p.posture.blend ?? 0) && (p.posture.blend ?? 0) >= 0, 'The posture blend cannot be negative.');
+      rows('posture', p.posture.frames, f => [f.at, f.Cd, f.A].every(num) && f.Cd >= 0 && f.A >= 0, 'posture table needs numbers, with Cd and A not negative.');
+    }
+    if (p.cdMachCurve) rows('cdMachCurve', p.cdMachCurve, r => r.length === 2 && r.every(num) && r[0] >= 0 && r[1] >= 0, 'Cd(Mach) table needs a Mach number and a multiplier, neither negative.');
+  }
+  if (!isCatapult && p.wind){
+    // One point is a constant wind at every altitude
+    if (p.wind.length === 1) need('wind', num(p.wind[0][1]), 'The wind speed must be a number.');
+    else rows('wind', p.wind, r => r.length === 2 && r.every(num) && r[0] >= 0, 'wind table needs an altitude of 0 m or more and a wind speed.');
+  }
+  if (isCatapult){
+    need('springK', num(p.springK) && p.springK > 0, 'Spring constant must be above 0 N/m.');
+    need('springX', num(p.springX) && p.springX >= 0, 'Extension cannot be negative.');
+    need('launchAngleDeg', num(p.launchAngleDeg) && p.launchAngleDeg >= 0 && p.launchAngleDeg <= 90, 'Launch angle must be between 0° and 90°.');
+  }
+  const b = p.body || EARTH;
+  need('body', [b.g0, b.gSimple, b.R, b.molarMass, b.gamma].every(num) && b.g0 > 0 && b.gSimple > 0 && b.R > 0 && b.molarMass > 0 && b.gamma > 1,
+    'The world needs g above 0, a radius above 0, a molar mass above 0 and γ above 1.');
+  return problems;
+}
+
+/**
+ * Run simulate() once per value of one input and collect a result metric.
+ * A two-input grid is a sweep per value of the second input.
+ * @param {SimParams} base   Settings shared by every run
+ * @param {keyof SimParams} key  Input to vary, e.g. 'Cd' or 'launchAngleDeg'
+ * @param {number[]} values
+ * @param {keyof SimResult} metric  e.g. 'vMax', 'eDiss' or 'range'
+ * @returns {{ values: number[], results: number[], cutoff: boolean[] }}  cutoff marks runs that hit the time limit
+ */
+export function sweep(base, key, values, metric){
+  const results = [], cutoff = [];
+  for (const v of values){
+    const res = simulate({ ...base, [key]: v });
+    results.push(res[metric]);
+    cutoff.push(res.endLabel !== 'ground');
+  }
+  return { values, results, cutoff };
+}
+
+// Catapult launch speed from ½kx² = ½(m + ms/3)v²
+export function launchSpeed({ m, springK=0, springX=0 }){
+  return Math.sqrt(Math.max(0, springK * springX * springX / m));
+}
+
+// Closed-form drag-free answers that the integrators are checked against
+export function analyticNoDrag(params){
+  const { h0, gravityModel, scenario, launchAngleDeg=45, body=EARTH } = params;
+  if (scenario === 'catapult'){
+    // Uniform g at ground level: g(h) changes by ~1e-6 over a catapult flight
+    const g = gAt(0, gravityModel, body);
+    const v0 = launchSpeed(params), hL = Math.max(0, h0 || 0);
+    const ang = (launchAngleDeg * Math.PI)/180;
+    const vx = v0 * Math.cos(ang), vy = v0 * Math.sin(ang);
+    // Time to come down from the platform: hL + vy T − ½gT² = 0
+    const T = (vy + Math.sqrt(vy * vy + 2 * g * hL)) / g;
+    const tApex = Math.max(0, vy / g);
+    return { tEnd: T, vEnd: Math.sqrt(v0 * v0 + 2 * g * hL), range: vx * T, tApex, apex: hL + vy * tApex - 0.5 * g * tApex * tApex };
+  }
+  if (gravityModel === 'simplified'){
+    const g = body.gSimple;
+    return { tEnd: Math.sqrt(2 * h0 / g), vEnd: Math.sqrt(2 * g * h0) };
+  }
+  // Radial fall from rest in an inverse-square field, μ = g0 R²
+  const Rb = body.R, mu = body.g0 * Rb * Rb, r0 = Rb + h0, q = Rb / r0;
+  return {
+    tEnd: Math.sqrt(r0**3 / (2 * mu)) * (Math.sqrt(q * (1 - q)) + Math.acos(Math.sqrt(q))),
+    vEnd: Math.sqrt(2 * mu * (1/Rb - 1/r0))
+  };
+}
+
+// Largest drift of GPE + KE + dissipated energy away from the starting energy plus the wind's work
+export function energyResidual(series){
+  const { gpe, ke, ediss, ewind } = series;
+  const E0 = gpe[0] + ke[0];
+  let worst = 0;
+  for (let i=0;i<gpe.length;i++) worst = Math.max(worst, Math.abs(gpe[i] + ke[i] + ediss[i] - (ewind ? ewind[i] : 0) - E0));
+  return { abs: worst, rel: E0 > 0 ? worst / E0 : 0 };
+}
+
+// GPE relative to the ground. With g(h) this is the exact difference in −GMm/r between R + h and R,
+// GMm (1/R − 1/(R+h)) = m g0 R h / (R + h), so it matches the work gravity does on the way down.
+export function gpeAt(m, h, gravityModel, body=EARTH){
+  if (gravityModel === 'simplified') return m * body.gSimple * h;
+  return m * body.g0 * body.R * h / (body.R + h);
+}
+
+export function initialGPE(m, h0, gravityModel, body=EARTH){
+  return gpeAt(m, h0, gravityModel, body);
+}
@@ -0,0 +1,243 @@
+// Guided lessons: a teacher-written sequence of steps, auto-marked against simulate() results.
+// A lesson file is checked here, and each answer is marked and gathered into a score and a printable report.
+
+/**
+ * A lesson as written in its JSON file. Setups use the same keys as permalinks and saved scenarios
+ * (m, h0, drag, gravity, atmos, chute, k, x, angle, …, plus scenario).
+ * @typedef {Object} Lesson
+ * @property {string} title
+ * @property {string} [intro]                 Shown before the first step
+ * @property {Object} [setup]                 Settings applied when the lesson starts
+ * @property {string[]} [lock]                Setup keys the student may not change
+ * @property {LessonStep[]} steps
+ */
+
+/**
+ * One step. 'info' only explains, 'predict' asks for a number that is marked against a result of the
+ * run, 'choice' is a multiple-choice question.
+ * @typedef {Object} LessonStep
+ * @property {'info'|'predict'|'choice'} type
+ * @property {string} prompt
+ * @property {Object} [setup]         Settings changed on reaching this step (kept for later steps)
+ * @property {string[]} [lock]        Replaces the lesson's locked keys from this step on
+ * @property {string} [metric]        predict: result to compare with, a key of PREDICTION_METRICS
+ * @property {number} [tol=0.05]      predict: allowed relative error
+ * @property {number} [tolAbs]        predict: allowed absolute error, used instead of tol
+ * @property {string} [hint]          predict: shown with the question
+ * @property {string[]} [choices]     choice: the options
+ * @property {number} [answer]        choice: index of the right option
+ * @property {string} [explain]       Shown once the step has been answered
+ */
+
+// Results a prediction can be marked against: SimResult key → label and unit
+export const PREDICTION_METRICS = {
+  vEnd: { label: 'Impact speed', unit: 'm/s' },
+  tEnd: { label: 'Time until ground', unit: 's' },
+  vMax: { label: 'Max speed', unit: 'm/s' },
+  keMax: { label: 'Max KE', unit: 'J' },
+  eDiss: { label: 'Energy dissipated', unit: 'J' },
+  machMax: { label: 'Max Mach number', unit: '' },
+  range: { label: 'Range', unit: 'm' },
+};
+
+/**
+ * Check a lesson read from JSON and fill in defaults.
+ * @param {string|Object} input  JSON text or an already parsed object
+ * @returns {Lesson}
+ */
+export function parseLesson(input){
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || typeof data !== 'object') throw new Error('A lesson must be a JSON object.');
+  if (typeof data.title !== 'string' || !data.title.trim()) throw new Error('The lesson needs a "title".');
+  if (!Array.isArray(data.steps) || !data.steps.length) throw new Error('The lesson needs a list of "steps".');
+  const checkLock = (lock, where) => {
+    if (lock != null && !(Array.isArray(lock) && lock.every(k => typeof k === 'string'))) throw new Error(`${where}: "lock" must be a list of setting names.`);
+  };
+  // Tables are lists of rows: [Mach, Cd multiplier], [altitude, wind speed] and [at, position, Cd, A]
+  const isNum = (x) => typeof x === 'number' && isFinite(x);
+  const TABLE_ROWS = {
+    cdTable: [(row) => row.length === 2 && row.every(isNum), '[Mach, Cd multiplier]'],
+    windTable: [(row) => row.length === 2 && row.every(isNum), '[altitude, wind speed]'],
+    postureTable: [(row) => row.length === 4 && isNum(row[0]) && typeof row[1] === 'string' && isNum(row[2]) && isNum(row[3]), '[at, position, Cd, A]'],
+  };
+  const checkSetup = (setup, where) => {
+    if (setup == null) return;
+    if (typeof setup !== 'object' || Array.isArray(setup)) throw new Error(`${where}: "setup" must be an object.`);
+    for (const [key, [rowOk, shape]] of Object.entries(TABLE_ROWS)){
+      if (key in setup && !(Array.isArray(setup[key]) && setup[key].every(row => Array.isArray(row) && rowOk(row)))){
+        throw new Error(`${where}: "${key}" must be a list of ${shape} rows.`);
+      }
+    }
+  };
+  checkSetup(data.setup, 'Lesson');
+  checkLock(data.lock, 'Lesson');
+  const steps = data.steps.map((step, i) => {
+    const where = `Step ${i + 1}`;
+    if (!step || typeof step.prompt !== 'string') throw new Error(`${where}: every step needs a "prompt".`);
+    checkSetup(step.setup, where);
+    checkLock(step.lock, where);
+    const type = step.type || 'info';
+    if (type === 'predict'){
+      if (!(step.metric in PREDICTION_METRICS)) throw new Error(`${where}: "metric" must be one of ${Object.keys(PREDICTION_METRICS).join(', ')}.`);
+      const tol = step.tol ?? 0.05;
+      if (!(tol > 0) || (step.tolAbs != null && !(step.tolAbs > 0))) throw new Error(`${where}: the tolerance must be a positive number.`);
+      return { ...step, type, tol };
+    }
+    if (type === 'choice'){
+      if (!Array.isArray(step.choices) || step.choices.length < 2) throw new Error(`${where}: a multiple-choice step needs at least two "choices".`);
+      if (!Number.isInteger(step.answer) || step.answer < 0 || step.answer >= step.choices.length) throw new Error(`${where}: "answer" must be the index of one of the choices (0 for the first).`);
+      return { ...step, type };
+    }
+    if (type !== 'info') throw new Error(`${where}: unknown step type "${type}" (use info, predict or choice).`);
+    return { ...step, type };
+  });
+  return { ...data, setup: data.setup || {}, lock: data.lock || [], steps };
+}
+
+/**
+ * Mark a numeric prediction against the simulated value.
+ * @param {LessonStep} step
+ * @param {number} guess
+ * @param {number} actual
+ * @returns {{ correct: boolean, guess: number, actual: number, error: number, allowed: number }}
+ */
+export function markPrediction(step, guess, actual){
+  const allowed = step.tolAbs != null ? step.tolAbs : (step.tol ?? 0.05) * Math.abs(actual);
+  const error = Math.abs(guess - actual);
+  return { correct: isFinite(guess) && error <= allowed, guess, actual, error, allowed };
+}
+
+/**
+ * Mark a multiple-choice answer.
+ * @param {LessonStep} step
+ * @param {number} index  Option picked
+ * @returns {{ correct: boolean, guess: number, actual: number }}
+ */
+export function markChoice(step, index){
+  return { correct: index === step.answer, guess: index, actual: step.answer };
+}
+
+/**
+ * Total score over the marked steps. marks[i] is the mark for step i (undefined if unanswered).
+ * @param {Lesson} lesson
+ * @param {Array<{correct:boolean}|undefined>} marks
+ * @returns {{ score: number, total: number, answered: number }}
+ */
+export function lessonScore(lesson, marks){
+  let score = 0, total = 0, answered = 0;
+  lesson.steps.forEach((step, i) => {
+    if (step.type === 'info') return;
+    total++;
+    if (marks[i]){ answered++; if (marks[i].correct) score++; }
+  });
+  return { score, total, answered };
+}
+
+/**
+ * Plain-text record of a student's answers, for saving or printing.
+ * @param {Lesson} lesson
+ * @param {Array<Object|undefined>} marks  From markPrediction() / markChoice()
+ * @param {{ student?: string, date?: Date, format?: (x:number, unit:string) => string }} [opts]
+ * @returns {string}
+ */
+export function lessonReport(lesson, marks, { student='', date=new Date(), format=(x, unit) => `${+x.toPrecision(4)} ${unit}`.trim() } = {}){
+  const { score, total, answered } = lessonScore(lesson, marks);
+  const lines = [`Lesson: ${lesson.title}`];
+  if (student) lines.push(`Student: ${student}`);
+  lines.push(`Date: ${date.toLocaleString()}`, `Score: ${score} / ${total}${answered < total ? ` (${total - answered} not answered)` : ''}`, '');
+  lesson.steps.forEach((step, i) => {
+    if (step.type === 'info') return;
+    const mark = marks[i];
+    const head = `${i + 1}. ${step.prompt}`;
+    if (!mark){ lines.push(head, '   Not answered.'); return; }
+    const verdict = mark.correct ? 'correct' : 'not correct';
+    if (step.type === 'predict'){
+      const unit = PREDICTION_METRICS[step.metric].unit;
+      lines.push(head, `   Prediction ${format(mark.guess, unit)}, simulation ${format(mark.actual, unit)}: ${verdict}`);
+    } else {
+      lines.push(head, `   Answer "${step.choices[mark.guess]}": ${verdict}${mark.correct ? '' : ` (right answer: "${step.choices[mark.actual]}")`}`);
+    }
+  });
+  return lines.join('\n');
+}
+
+// The lesson offered in the page: the README's suggested questions as predict-then-check steps
+export const BUILTIN_LESSON = {
+  title: "Energy in Felix Baumgartner's jump",
+  intro: 'Predict each answer before the simulation shows it. Numbers within the tolerance count as correct.',
+  setup: { scenario: 'freefall', m: 118, h0: 39045, drag: false, gravity: 'simplified', body: 'earth', wind: false, posture: false, mode: 'single' },
+  lock: ['scenario', 'm', 'h0', 'drag', 'gravity', 'body'],
+  steps: [
+    {
+      type: 'info',
+      prompt: 'Felix stepped off his capsule at 39 045 m with a mass of 118 kg (including his suit). We start with no air resistance and g = 10 N/kg, so every joule of GPE he loses becomes KE.',
+    },
+    {
+      type: 'predict', metric: 'vEnd', tol: 0.05,
+      prompt: 'Without drag, predict his speed when he reaches the ground (m/s).',
+      hint: 'GPE lost = KE gained: m g h = ½ m v², so v = √(2 g h).',
+      explain: 'v = √(2 × 10 × 39 045) ≈ 884 m/s. The mass cancels, so any object dropped from this height would land at the same speed.',
+    },
+    {
+      type: 'predict', metric: 'tEnd', tol: 0.05,
+      prompt: 'Without drag, how long does the fall take (s)?',
+      hint: 'With constant acceleration from rest, h = ½ g t².',
+      explain: 't = √(2h / g) = √(2 × 39 045 / 10) ≈ 88 s.',
+    },
+    {
+      type: 'choice',
+      prompt: 'Felix really reached about 377 m/s, far less than the drag-free answer. What is the main reason?',
+      choices: [
+        'Gravity is much weaker at 39 km',
+        'Air resistance transfers energy from his kinetic store to the thermal store of the air',
+        'His GPE did not all transfer because he was wearing a suit',
+        'KE cannot be larger than half the GPE',
+      ],
+      answer: 1,
+      explain: 'Drag does work against him, so part of the GPE ends up as thermal energy in the air and his suit instead of KE.',
+    },
+    {
+      type: 'predict', metric: 'vMax', tol: 0.2,
+      setup: { drag: true, atmos: 'isa', chute: true, deployAlt: 2500 },
+      prompt: 'Now air resistance is switched on. Predict his maximum speed (m/s).',
+      hint: 'High up the air is very thin, so drag stays small for a long time.',
+      explain: 'He peaks at a few hundred m/s high in the thin air, close to the real 377 m/s, then slows down as the air gets denser.',
+    },
+    {
+      type: 'choice',
+      prompt: 'With drag, his KE peaks and then falls before the parachute opens. Why?',
+      choices: [
+        'He runs out of GPE',
+        'Gravity stops acting once he reaches his top speed',
+        'The air gets denser lower down, so the drag force becomes bigger than his weight and slows him',
+        'The parachute starts opening at the peak',
+      ],
+      answer: 2,
+      explain: 'Drag = ½ ρ C_d A v². As ρ rises, drag exceeds his weight, the resultant force points upwards and he decelerates.',
+    },
+    {
+      type: 'choice',
+      lock: ['scenario', 'h0', 'drag', 'gravity', 'body'],
+      prompt: 'What happens to the maximum speed with drag if he were heavier (same size and shape)?',
+      choices: ['It is higher', 'It stays the same', 'It is lower'],
+      answer: 0,
+      explain: 'A heavier jumper needs a larger drag force to balance his weight, so he must fall faster before drag catches up. Try it by pinning this run and changing the mass.',
+    },
+    {
+      type: 'choice',
+      prompt: 'At 39 km, g is only about 1.2 % smaller than at the surface. Using g = 10 N/kg throughout is…',
+      choices: ['A reasonable approximation for this jump', 'Badly wrong, because g is near zero in the stratosphere', 'Only valid with drag switched on'],
+      answer: 0,
+      explain: 'Switch to realistic gravity and compare: the speeds change by about 1 %. Space is not "zero gravity"; astronauts in orbit are falling.',
+    },
+    {
+      type: 'choice',
+      setup: { scenario: 'catapult', drag: false, launchH: 0 },
+      lock: ['scenario', 'drag', 'launchH'],
+      prompt: 'Catapult time. Without drag and on level ground, which launch angle gives the longest range? (Check with the "Range vs angle" chart.)',
+      choices: ['30°', '45°', '60°', '75°'],
+      answer: 1,
+      explain: 'Range = v² sin 2θ / g, which is largest when 2θ = 90°. With drag, or from a cliff, the best angle is lower.',
+    },
+  ],
+};
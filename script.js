@@ -1,10 +1,15 @@
 // Felix Baumgartner freefall energy simulation
 // GCSE-level, with optional drag and variable gravity
+// UI, charts and animation; the physics lives in engine.mjs
 
-(function(){
-  const g0 = 9.80665; // m/s^2
-  const R = 6_371_000; // Earth radius (m)
+import { g0, BODIES, DRAG_RISE, JET_STREAM, atmosphereAt, simulate, linspace, sortPosture, analyticNoDrag, energyResidual, initialGPE, minMaxIndices, checkParams } from './engine.mjs';
+import { parseTelemetry, fitDrag, misfit } from './telemetry.mjs';
+import { parseLesson, markPrediction, markChoice, lessonScore, lessonReport, PREDICTION_METRICS, BUILTIN_LESSON } from './lesson.mjs';
+import { keyMoments, tableAt, describeAt, pitchFor } from './accessibility.mjs';
+import { workedSolutions, formatNumber } from './working.mjs';
+import { SvgContext } from './svg-context.mjs';
 
+(function(){
   const $ = (id) => document.getElementById(id);
   const fmt = (x, unit="") => {
     if (!isFinite(x)) return "—";
@@ -17,265 +22,452 @@
     return `${s} ${unit}`.trim();
   };
 
-  function rhoAt(h, rho0, H){
-    // Simple exponential atmosphere
-    return rho0 * Math.exp(-Math.max(0,h) / H);
-  }
-
-  function gAt(h, gravityModel){
-    if (gravityModel === 'simplified') return 10.0;
-    return g0 * (R/(R + Math.max(0,h)))**2;
-  }
+  // Body positions offered by the preset select and the posture schedule, with how the astronaut SVG shows each
+  const POSTURES = {
+    tucked: { label: 'Tucked', Cd: 0.9, A: 0.7, pose: 'scale(0.85)' },
+    spread: { label: 'Spread', Cd: 1.2, A: 1.0, pose: 'scale(1.35,0.8)' },
+    headfirst: { label: 'Head-first', Cd: 0.7, A: 0.6, pose: 'rotate(180)' },
+  };
+  const postureLabel = (name) => POSTURES[name]?.label || 'Custom';
 
   function getScenario(){
     const btnCat = document.getElementById('btnCatapult');
     return btnCat && btnCat.classList.contains('active') ? 'catapult' : 'freefall';
   }
 
-  function simulate(params){
-    const { m, h0, dt, withDrag, gravityModel, Cd, A, rho0, H, scenario, springK=0, springX=0, launchAngleDeg=45 } = params;
+  // Zoom window (null = whole run), linked time cursor and hover/selection state shared by the time charts
+  const chartView = { t0: null, t1: null, cursorT: null, hoverT: null, select: null };
+  // Plot geometry and lines of each on-screen time chart, for mapping the mouse back to data
+  const chartFrames = {};
 
-    // State variables (downwards positive for velocity, height is above ground)
-    let t = 0;
-    if (scenario === 'catapult'){
-      // 2D projectile motion from ground at ~45°; use total speed for KE and drag
-      let x = 0, y = 0;
-      const epe = 0.5 * springK * springX * springX; // J
-  const v0 = Math.sqrt(Math.max(0, 2*epe / m));
-  const ang = (launchAngleDeg * Math.PI)/180;
-  let vx = v0 * Math.cos(ang);
-  let vy = v0 * Math.sin(ang);
-      const ts = [], gpes = [], kes = [], diss = [], vs = [], hs = [], xs = [];
-      let eD = 0;
-      let vMax = 0, keMax = 0;
-      while (t < 2000 && (y >= 0)){
-        const rho = rhoAt(y, rho0, H);
-        const g = gAt(y, gravityModel);
-        const speed = Math.max(1e-8, Math.hypot(vx, vy));
-        const Fd = withDrag ? 0.5 * rho * Cd * A * speed*speed : 0;
-        const ax = Fd ? -(Fd/m) * (vx / speed) : 0;
-        const ay = -g + (Fd ? -(Fd/m) * (vy / speed) : 0);
-
-        // Integrate
-        vx += ax * dt;
-        vy += ay * dt;
-        x += vx * dt;
-        y = Math.max(0, y + vy * dt);
-
-        const ke = 0.5 * m * (vx*vx + vy*vy);
-        const gpe = m * g * y;
-        eD += Fd * speed * dt;
-        vMax = Math.max(vMax, speed);
-        keMax = Math.max(keMax, ke);
-
-        ts.push(t); xs.push(x); hs.push(y); vs.push(speed); gpes.push(gpe); kes.push(ke); diss.push(eD);
-        t += dt;
-        if (y === 0 && vy < 0) break; // impact ground on descent
-      }
-      return { tEnd: t, vEnd: vs[vs.length-1] || 0, keMax, vMax, eDiss: diss[diss.length-1]||0, series: { t: ts, gpe: gpes, ke: kes, ediss: diss, v: vs, h: hs, x: xs }, endLabel: 'ground' };
-    } else {
-      // 1D freefall
-      let h = h0;        // altitude (m)
-      let v = 0;         // downward speed (m/s)
-      let keMax = 0;
-      let vMax = 0;
-      const ts = [], gpes = [], kes = [], diss = [], vs = [], hs = [];
-      let energyDissipated = 0; // thermal due to drag
-
-      while (h > 0 && t < 2000){
-        const g = gAt(h, gravityModel);
-        const rho = rhoAt(h, rho0, H);
-
-        // Forces along vertical (down positive)
-        const weight = m * g; // downwards
-        let drag = 0;
-        if (withDrag){ drag = 0.5 * rho * Cd * A * v*v; }
-        const a = (weight - drag * Math.sign(v)) / m;
-
-        // Semi-implicit Euler
-        const vNext = v + a * dt;
-        const hNext = Math.max(0, h - ((v + vNext)/2) * dt);
-
-        const ke = 0.5 * m * vNext*vNext;
-        keMax = Math.max(keMax, ke);
-        vMax = Math.max(vMax, Math.abs(vNext));
-        if (withDrag){
-          const Fd = 0.5 * rho * Cd * A * v*v;
-          const powerLoss = Fd * Math.abs(v);
-          energyDissipated += powerLoss * dt;
-        }
-
-        ts.push(t);
-        const gpe = m * g * hNext;
-        gpes.push(gpe);
-        kes.push(ke);
-        diss.push(energyDissipated);
-        vs.push(Math.abs(vNext));
-        hs.push(hNext);
-
-        t += dt;
-        v = vNext;
-        h = hNext;
-        if (t > 3600) break;
-      }
-      return { tEnd: t, vEnd: v, keMax, vMax, eDiss: energyDissipated, series: { t: ts, gpe: gpes, ke: kes, ediss: diss, v: vs, h: hs }, endLabel: 'ground' };
-    }
+  // Last index i with t[i] <= tt (t ascending), clamped to the array
+  function indexAt(t, tt){
+    let lo = 0, hi = t.length - 1;
+    if (hi < 0) return -1;
+    if (tt <= t[0]) return 0;
+    if (tt >= t[hi]) return hi;
+    while (hi - lo > 1){ const mid = (lo + hi) >> 1; if (t[mid] <= tt) lo = mid; else hi = mid; }
+    return lo;
   }
 
-  function initialGPE(m, h0, gravityModel){
-    if (gravityModel === 'simplified') return m * 10.0 * h0;
-    // Approximate with average g between h0 and 0 using g(h) formula integrated numerically (coarse)
-    const steps = 200;
-    let sum = 0, dh = h0/steps;
-    for (let i=0;i<steps;i++){
-      const h = (i+0.5)*dh;
-      sum += gAt(h, 'real');
-    }
-    const gAvg = sum/steps;
-    return m * gAvg * h0;
+  // "Nice" tick spacing (1, 2 or 5 × 10^k) giving roughly n ticks across span
+  function niceStep(span, n){
+    const raw = span / Math.max(1, n);
+    const p = Math.pow(10, Math.floor(Math.log10(raw)));
+    const f = raw / p;
+    return (f < 1.5 ? 1 : f < 3.5 ? 2 : f < 7.5 ? 5 : 10) * p;
   }
 
-  // Simple chart renderer (no external libs)
-  function drawChartEnergy(canvas, series, compareSeries){
+  // Simple chart renderer (no external libs). Draws any number of time series against a shared time axis.
+  // spec: {
+  //   lines: [{ name, t, y, color, dash?: true | [on, off], width?, marker? (dots, no line), axis?: 'right' | 'hidden' (tooltip only), show?(v) }],
+  //   left: { label, fmt, ticks?, max?(visibleMax) }, right?: { label, fmt, max?(visibleMax) },
+  //   under?(ctx, frame)  — extra drawing beneath the lines (shading, reference lines)
+  //   events, overlay  — overlay keeps the frame so drawChart can add the cursor, hover crosshair and zoom selection (screen only)
+  // }
+  function drawTimeChart(canvas, spec){
     const ctx = canvas.getContext('2d');
-    const { t, gpe, ke, ediss } = series;
     const w = canvas.width, h = canvas.height;
-
-    // Compute ranges
-    const tMax = t[t.length-1] || 1;
-    const eMax = Math.max(
-      1,
-      ...gpe,
-      ...ke,
-      ...ediss,
-      ...(compareSeries ? compareSeries.gpe : [0]),
-      ...(compareSeries ? compareSeries.ke : [0]),
-      ...(compareSeries ? compareSeries.ediss : [0])
-    );
-
-    // Padding
-    const pad = { l:60, r:15, t:15, b:40 };
+    const pad = { l:60, r: spec.right ? 60 : 15, t:15, b:40 };
     const plotW = w - pad.l - pad.r;
     const plotH = h - pad.t - pad.b;
+    let tMax = 0;
+    for (const L of spec.lines) tMax = Math.max(tMax, L.t[L.t.length-1] || 0);
+    tMax = tMax || 1;
+    const t0 = chartView.t0 ?? 0, t1 = chartView.t1 ?? tMax;
+    const xOf = (ti)=> pad.l + ((ti - t0)/(t1 - t0))*plotW;
+    // Y ranges follow the samples inside the zoom window; an axis only goes below zero if a line does
+    const visibleRange = (axis) => {
+      let min = 0, max = 0;
+      for (const L of spec.lines){
+        if ((L.axis || 'left') !== axis) continue;
+        const i0 = Math.max(0, indexAt(L.t, t0) - 1), i1 = Math.min(L.t.length - 1, indexAt(L.t, t1) + 1);
+        for (let i=i0;i<=i1;i++){ if (L.y[i] > max) max = L.y[i]; if (L.y[i] < min) min = L.y[i]; }
+      }
+      return [min, max];
+    };
+    const [leftLo, leftHi] = visibleRange('left'), [rightLo, rightHi] = visibleRange('right');
+    const leftMax = spec.left.max ? spec.left.max(leftHi) : Math.max(1, leftHi);
+    const rightMax = spec.right ? (spec.right.max ? spec.right.max(rightHi) : Math.max(1, rightHi)) : 1;
+    const leftMin = Math.min(0, leftLo * 1.05), rightMin = Math.min(0, rightLo * 1.05);
+    const yL = (v)=> pad.t + (1 - (v - leftMin)/(leftMax - leftMin))*plotH;
+    const yR = (v)=> pad.t + (1 - (v - rightMin)/(rightMax - rightMin))*plotH;
+    const frame = { pad, plotW, plotH, w, h, t0, t1, xOf, yL, yR, lines: spec.lines };
+    const nTicks = spec.left.ticks || 5;
 
     ctx.clearRect(0,0,w,h);
+    ctx.fillStyle = '#0b1224'; ctx.fillRect(0,0,w,h);
 
-    // Background grid
-    ctx.fillStyle = '#0b1224';
-    ctx.fillRect(0,0,w,h);
-
-    ctx.strokeStyle = 'rgba(255,255,255,.08)';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    for (let i=0;i<=6;i++){
-      const y = pad.t + (i/6)*plotH;
-      ctx.moveTo(pad.l, y);
-      ctx.lineTo(w-pad.r, y);
-    }
+    ctx.save();
+    ctx.beginPath(); ctx.rect(pad.l, pad.t, plotW, plotH); ctx.clip();
+    if (spec.under) spec.under(ctx, frame);
+    ctx.strokeStyle = 'rgba(255,255,255,.08)'; ctx.lineWidth = 1; ctx.beginPath();
+    for (let i=0;i<=nTicks;i++){ const y = pad.t + (i/nTicks)*plotH; ctx.moveTo(pad.l, y); ctx.lineTo(w-pad.r, y); }
     ctx.stroke();
+    for (const L of spec.lines){
+      if (L.axis === 'hidden') continue; // tooltip-only series
+      const yOf = L.axis === 'right' ? yR : yL;
+      const i0 = Math.max(0, indexAt(L.t, t0) - 1), i1 = Math.min(L.t.length - 1, indexAt(L.t, t1) + 1);
+      if (L.marker){
+        ctx.fillStyle = L.color;
+        for (let i=i0;i<=i1;i++) ctx.fillRect(xOf(L.t[i]) - 2.5, yOf(L.y[i]) - 2.5, 5, 5);
+        continue;
+      }
+      ctx.setLineDash(Array.isArray(L.dash) ? L.dash : L.dash ? [6,4] : []);
+      ctx.strokeStyle = L.color; ctx.lineWidth = L.width || 2; ctx.beginPath();
+      // Long runs have many samples per pixel: draw each pixel's first, lowest and highest so peaks survive
+      const idx = minMaxIndices(L.t, [L.y], i0, i1, Math.ceil(plotW));
+      for (let k=0;k<idx.length;k++){
+        const x = xOf(L.t[idx[k]]), y = yOf(L.y[idx[k]]);
+        if (k===0) ctx.moveTo(x,y); else ctx.lineTo(x,y);
+      }
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+    drawEvents(ctx, spec.events, xOf, pad, h);
+    ctx.restore();
 
     // Axes labels
     ctx.fillStyle = '#9ca3af';
     ctx.font = '12px system-ui';
     ctx.textAlign = 'center';
-    ctx.fillText('time (s)', pad.l + plotW/2, h-12);
+    ctx.fillText('time (s)', pad.l + plotW/2, h-8);
+    ctx.save(); ctx.translate(12, pad.t+plotH/2); ctx.rotate(-Math.PI/2); ctx.fillText(spec.left.label,0,0); ctx.restore();
+    if (spec.right){ ctx.save(); ctx.translate(w-10, pad.t+plotH/2); ctx.rotate(Math.PI/2); ctx.fillText(spec.right.label,0,0); ctx.restore(); }
+
+    // Time ticks
+    const step = niceStep(t1 - t0, 10);
+    ctx.strokeStyle = 'rgba(255,255,255,.25)'; ctx.lineWidth = 1; ctx.beginPath();
+    for (let tk = Math.ceil(t0/step)*step; tk <= t1 + 1e-9; tk += step){
+      const x = xOf(tk);
+      ctx.moveTo(x, h-pad.b); ctx.lineTo(x, h-pad.b+5);
+      ctx.fillText(step < 1 ? tk.toFixed(Math.ceil(-Math.log10(step))) : tk.toFixed(0), x, h-pad.b+18);
+    }
+    ctx.stroke();
+
+    // Y-axis ticks
+    ctx.textAlign = 'right';
+    for (let i=0;i<=nTicks;i++){ const v = leftMin + (i/nTicks)*(leftMax - leftMin); ctx.fillText(spec.left.fmt(v), pad.l - 8, yL(v)+4); }
+    if (spec.right){
+      ctx.textAlign = 'left';
+      for (let i=0;i<=5;i++){ const v = rightMin + (i/5)*(rightMax - rightMin); ctx.fillText(spec.right.fmt(v), w-pad.r+8, yR(v)+4); }
+    }
+    if (spec.overlay && canvas.id) chartFrames[canvas.id] = frame;
+    return frame;
+  }
 
+  // Copy of each on-screen time chart without its overlay. Moving the cursor or the hover crosshair
+  // (every frame while the animation plays) repaints the copy and the overlay instead of every line.
+  const chartBases = {};
+  function saveChartBase(canvas){
+    const base = chartBases[canvas.id] || (chartBases[canvas.id] = document.createElement('canvas'));
+    if (base.width !== canvas.width || base.height !== canvas.height){ base.width = canvas.width; base.height = canvas.height; }
+    base.getContext('2d').drawImage(canvas, 0, 0);
+  }
+  function paintOverlay(canvas){
+    const f = chartFrames[canvas.id], base = chartBases[canvas.id];
+    if (!f || !base) return false;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(base, 0, 0);
     ctx.save();
-    ctx.translate(12, pad.t + plotH/2);
-    ctx.rotate(-Math.PI/2);
-    ctx.fillText('energy (J)', 0, 0);
+    ctx.beginPath(); ctx.rect(f.pad.l, f.pad.t, f.plotW, f.plotH); ctx.clip();
+    drawOverlay(ctx, f);
     ctx.restore();
+    return true;
+  }
 
-    // Helpers
-    const xOf = (ti)=> pad.l + (ti/tMax)*plotW;
-    const yOf = (ei)=> pad.t + (1 - ei/eMax)*plotH;
-
-    function line(arr, color, dash=false){
-      if (dash){ ctx.setLineDash([6,4]); } else { ctx.setLineDash([]); }
-      ctx.strokeStyle = color; ctx.lineWidth = 2; ctx.beginPath();
-      for (let i=0;i<arr.length;i++){
-        const x = xOf(t[i]); const y = yOf(arr[i]);
-        if (i===0) ctx.moveTo(x,y); else ctx.lineTo(x,y);
+  // Linked time cursor, hover crosshair with a dot on each line, and the drag-to-zoom selection
+  function drawOverlay(ctx, f){
+    const { pad, h, xOf } = f;
+    if (chartView.select){
+      const [a, b] = chartView.select;
+      ctx.fillStyle = 'rgba(56,189,248,.15)';
+      ctx.fillRect(Math.min(xOf(a), xOf(b)), pad.t, Math.abs(xOf(b) - xOf(a)), h - pad.t - pad.b);
+    }
+    if (chartView.cursorT != null){
+      const x = xOf(chartView.cursorT);
+      ctx.strokeStyle = '#e5e7eb'; ctx.lineWidth = 1.5; ctx.beginPath(); ctx.moveTo(x, pad.t); ctx.lineTo(x, h-pad.b); ctx.stroke();
+    }
+    if (chartView.hoverT != null){
+      const x = xOf(chartView.hoverT);
+      ctx.strokeStyle = 'rgba(229,231,235,.6)'; ctx.lineWidth = 1; ctx.setLineDash([3,3]);
+      ctx.beginPath(); ctx.moveTo(x, pad.t); ctx.lineTo(x, h-pad.b); ctx.stroke(); ctx.setLineDash([]);
+      for (const L of f.lines){
+        const i = indexAt(L.t, chartView.hoverT);
+        if (L.axis === 'hidden' || i < 0 || chartView.hoverT > L.t[L.t.length-1]) continue;
+        const y = (L.axis === 'right' ? f.yR : f.yL)(L.y[i]);
+        ctx.fillStyle = L.color; ctx.fillRect(xOf(L.t[i]) - 3, y - 3, 6, 6);
       }
-      ctx.stroke();
-      ctx.setLineDash([]);
     }
+  }
 
-    line(gpe, '#38bdf8'); // GPE sky
-    line(ke, '#22c55e'); // KE green
-    line(ediss, '#f59e0b'); // dissipated amber
+  const DATA_COLOR = '#fde047';
 
+  // Lines for pinned runs, one per run in the run's own colour, drawn thinner than the current run
+  const pinnedLines = (pinned, key, show, extra={}) =>
+    pinned.map(r => ({ name:`Run ${r.n} ${extra.suffix || ''}`.trim(), t: r.res.series.t, y: r.res.series[key], color: r.color, width: 1.5, show, ...extra }));
+
+  // opts: overlay (screen-only cursor and hover), pinned runs, recorded flight data
+  function drawChartEnergy(canvas, series, compareSeries, events, { overlay=false, pinned=[] } = {}){
+    const { t, gpe, ke, keh = [], ediss, ewind = [] } = series;
+    const J = (v) => fmt(v, 'J');
+    const lines = [
+      { name:'GPE', t, y: gpe, color:'#38bdf8', show: J },
+      { name:'KE', t, y: ke, color:'#22c55e', show: J },
+      { name:'Dissipated', t, y: ediss, color:'#f59e0b', show: J },
+    ];
+    // In a wind the jumper also moves sideways: KE = ½m(vx² + vy²) includes that part, and the wind's push adds energy
+    if (ewind.some(e => e !== 0)){
+      lines.push(
+        { name:'KE sideways', t, y: keh, color:'#22c55e', dash:[2,3], width:1.5, show: J },
+        { name:'Work by wind', t, y: ewind, color:'#a78bfa', show: J },
+      );
+    }
     if (compareSeries){
-      const t2 = compareSeries.t;
-      const xOf2 = (ti)=> pad.l + (ti/t2[t2.length-1])*plotW;
-      function line2(arr, color){
-        ctx.setLineDash([6,4]);
-        ctx.strokeStyle = color; ctx.lineWidth = 2; ctx.beginPath();
-        for (let i=0;i<arr.length;i++){
-          const x = xOf2(t2[i]); const y = yOf(arr[i]);
-          if (i===0) ctx.moveTo(x,y); else ctx.lineTo(x,y);
-        }
-        ctx.stroke(); ctx.setLineDash([]);
-      }
-      line2(compareSeries.gpe, '#38bdf8');
-      line2(compareSeries.ke, '#22c55e');
-      line2(compareSeries.ediss, '#f59e0b');
+      const c = compareSeries;
+      lines.push(
+        { name:'GPE (no drag)', t: c.t, y: c.gpe, color:'#38bdf8', dash:true, show: J },
+        { name:'KE (no drag)', t: c.t, y: c.ke, color:'#22c55e', dash:true, show: J },
+        { name:'Dissipated (no drag)', t: c.t, y: c.ediss, color:'#f59e0b', dash:true, show: J },
+      );
     }
+    lines.push(...pinnedLines(pinned, 'ke', J, { suffix:'KE' }), ...pinnedLines(pinned, 'gpe', J, { suffix:'GPE', dash:[2,3] }));
+    return drawTimeChart(canvas, { lines, left: { label:'energy (J)', fmt: formatEng, ticks: 6 }, events, overlay });
+  }
 
-    // Y-axis ticks
-    ctx.fillStyle = '#9ca3af';
-    ctx.textAlign = 'right';
-    for (let i=0;i<=6;i++){
-      const e = (i/6)*eMax;
-      const y = yOf(e);
-      ctx.fillText(formatEng(e), pad.l - 8, y+4);
-    }
+  function drawChartVelocity(canvas, series, compareSeries, events, { overlay=false, pinned=[], data=null } = {}){
+    const { t, v, mach = [], a: sound = [] } = series;
+    const ms = (x) => fmt(x, 'm/s');
+    let machMax = 0;
+    for (const M of mach) if (M > machMax) machMax = M;
+    const lines = [];
+    // Only show the local speed of sound once the jump gets anywhere near it
+    if (sound.length && machMax >= 0.5) lines.push({ name:'Speed of sound', t, y: sound, color:'#f472b6', dash:true, show: ms });
+    lines.push({ name:'Speed', t, y: v, color:'#22c55e', show: ms });
+    if (mach.length) lines.push({ name:'Mach', t, y: mach, color:'#e879f9', axis:'hidden', show: (M) => M.toFixed(2) });
+    if (compareSeries) lines.push({ name:'Speed (no drag)', t: compareSeries.t, y: compareSeries.v, color:'#22c55e', dash:true, show: ms });
+    lines.push(...pinnedLines(pinned, 'v', ms));
+    if (data && data.v) lines.push({ name:'Recorded speed', t: data.t, y: data.v, color: DATA_COLOR, marker:true, show: ms });
+    // Shade supersonic stretches (Mach ≥ 1)
+    const under = (ctx, f) => {
+      ctx.fillStyle = 'rgba(244,114,182,.12)';
+      for (let i=0;i<mach.length;i++){
+        if (mach[i] < 1) continue;
+        let j = i; while (j+1 < mach.length && mach[j+1] >= 1) j++;
+        ctx.fillRect(f.xOf(t[i]), f.pad.t, Math.max(1, f.xOf(t[j]) - f.xOf(t[i])), f.plotH);
+        i = j;
+      }
+    };
+    return drawTimeChart(canvas, { lines, left: { label:'speed (m/s)', fmt: (x) => x.toFixed(0) }, under, events, overlay });
+  }
+
+  function drawChartAltitude(canvas, series, compareSeries, events, { overlay=false, pinned=[], data=null } = {}){
+    const { t, h: hs } = series;
+    const m = (x) => fmt(x, 'm');
+    const lines = [{ name:'Altitude', t, y: hs, color:'#38bdf8', show: m }];
+    if (compareSeries) lines.push({ name:'Altitude (no drag)', t: compareSeries.t, y: compareSeries.h, color:'#38bdf8', dash:true, show: m });
+    lines.push(...pinnedLines(pinned, 'h', m));
+    if (data && data.h) lines.push({ name:'Recorded altitude', t: data.t, y: data.h, color: DATA_COLOR, marker:true, show: m });
+    return drawTimeChart(canvas, { lines, left: { label:'altitude (m)', fmt: formatEng }, events, overlay });
   }
 
-  function drawChartVelocity(canvas, series, compareSeries){
+  // Atmosphere profile: density (log scale, left axis) and temperature (right axis) against altitude.
+  // The selected model is drawn solid, the other one dashed for comparison (Earth only; other worlds have just the exponential one).
+  function drawChartAtmosphere(canvas, params){
     const ctx = canvas.getContext('2d');
-    const { t, v } = series;
+    const { atmosModel, rho0, H, h0, body } = params;
+    const modelNames = body.isa ? ['exponential', 'isa'] : ['exponential'];
     const w = canvas.width, h = canvas.height;
-    const tMax = t[t.length-1] || 1;
-    const vmax = Math.max(1, ...v, ...(compareSeries ? compareSeries.v : [0]));
-    const pad = { l:60, r:15, t:15, b:40 };
+    const pad = { l:60, r:60, t:15, b:40 };
     const plotW = w - pad.l - pad.r;
     const plotH = h - pad.t - pad.b;
-    const xOf = (ti)=> pad.l + (ti/tMax)*plotW;
-    const yOf = (vi)=> pad.t + (1 - vi/vmax)*plotH;
+    const hTop = Math.max(10000, h0 || 0) * 1.1;
+    const N = 200;
+    const alts = [], models = {};
+    for (let i=0;i<=N;i++) alts.push((i/N)*hTop);
+    for (const model of modelNames) models[model] = alts.map(a => atmosphereAt(a, model, rho0, H, body));
+    const all = modelNames.flatMap(model => models[model]);
+    const rhoTop = Math.max(...all.map(p => p.rho));
+    const rhoBot = Math.min(...all.map(p => p.rho));
+    const lgMax = Math.ceil(Math.log10(Math.max(1e-12, rhoTop))), lgMin = Math.floor(Math.log10(Math.max(1e-12, rhoBot)));
+    // Earth's range, widened for colder or hotter worlds
+    const TMin = Math.min(150, 50 * Math.floor(Math.min(...all.map(p => p.T)) / 50));
+    const TMax = Math.max(320, 50 * Math.ceil(Math.max(...all.map(p => p.T)) / 50));
+    const xOf = (hi)=> pad.l + (hi/hTop)*plotW;
+    const yRho = (r)=> pad.t + (1 - (Math.log10(Math.max(1e-12, r)) - lgMin)/Math.max(1, lgMax - lgMin))*plotH;
+    const yT = (T)=> pad.t + (1 - (T - TMin)/(TMax - TMin))*plotH;
     ctx.clearRect(0,0,w,h);
     ctx.fillStyle = '#0b1224'; ctx.fillRect(0,0,w,h);
     ctx.strokeStyle = 'rgba(255,255,255,.08)'; ctx.lineWidth=1; ctx.beginPath();
-    for (let i=0;i<=5;i++){ const y=pad.t + (i/5)*plotH; ctx.moveTo(pad.l,y); ctx.lineTo(w-pad.r,y);} ctx.stroke();
-    ctx.fillStyle = '#9ca3af'; ctx.font='12px system-ui'; ctx.textAlign='center'; ctx.fillText('time (s)', pad.l+plotW/2, h-12);
-    ctx.save(); ctx.translate(12, pad.t+plotH/2); ctx.rotate(-Math.PI/2); ctx.fillText('speed (m/s)',0,0); ctx.restore();
-    function line(arr, color, dash=false){ if(dash){ctx.setLineDash([6,4]);}else{ctx.setLineDash([]);} ctx.strokeStyle=color; ctx.lineWidth=2; ctx.beginPath(); for(let i=0;i<arr.length;i++){ const x=xOf(t[i]); const y=yOf(arr[i]); if(i===0)ctx.moveTo(x,y); else ctx.lineTo(x,y);} ctx.stroke(); ctx.setLineDash([]); }
-    line(v, '#22c55e');
-    if (compareSeries){ const t2=compareSeries.t; const xOf2=(ti)=> pad.l + (ti/t2[t2.length-1])*plotW; ctx.setLineDash([6,4]); ctx.strokeStyle='#22c55e'; ctx.lineWidth=2; ctx.beginPath(); for(let i=0;i<compareSeries.v.length;i++){ const x=xOf2(t2[i]); const y=yOf(compareSeries.v[i]); if(i===0)ctx.moveTo(x,y); else ctx.lineTo(x,y);} ctx.stroke(); ctx.setLineDash([]);}    
-    ctx.fillStyle='#9ca3af'; ctx.textAlign='right'; for(let i=0;i<=5;i++){ const vi=(i/5)*vmax; const y=yOf(vi); ctx.fillText(vi.toFixed(0), pad.l-8, y+4);}  
+    for (let e=lgMin;e<=lgMax;e++){ const y=yRho(10**e); ctx.moveTo(pad.l,y); ctx.lineTo(w-pad.r,y);} ctx.stroke();
+    ctx.fillStyle = '#9ca3af'; ctx.font='12px system-ui'; ctx.textAlign='center'; ctx.fillText('altitude (m)', pad.l+plotW/2, h-12);
+    ctx.save(); ctx.translate(12, pad.t+plotH/2); ctx.rotate(-Math.PI/2); ctx.fillText('density ρ (kg/m³, log scale)',0,0); ctx.restore();
+    ctx.save(); ctx.translate(w-10, pad.t+plotH/2); ctx.rotate(Math.PI/2); ctx.fillText('temperature (K)',0,0); ctx.restore();
+    function line(vals, yOf, color, dash){ ctx.setLineDash(dash ? [6,4] : []); ctx.strokeStyle=color; ctx.lineWidth=2; ctx.beginPath(); for(let i=0;i<vals.length;i++){ const x=xOf(alts[i]); const y=yOf(vals[i]); if(i===0)ctx.moveTo(x,y); else ctx.lineTo(x,y);} ctx.stroke(); ctx.setLineDash([]); }
+    if (!(rho0 > 0)){
+      ctx.fillStyle = '#9ca3af'; ctx.textAlign = 'center';
+      ctx.fillText(`No atmosphere on the ${body.name}`, pad.l + plotW/2, pad.t + plotH/2);
+      return;
+    }
+    for (const model of modelNames){
+      const dash = modelNames.length > 1 && model !== atmosModel;
+      line(models[model].map(p => p.rho), yRho, '#38bdf8', dash);
+      line(models[model].map(p => p.T), yT, '#f59e0b', dash);
+    }
+    if (h0 > 0) drawEvents(ctx, [{ t: h0, label: 'Jump altitude' }], xOf, pad, h);
+    ctx.fillStyle='#9ca3af'; ctx.textAlign='right';
+    for (let e=lgMin;e<=lgMax;e++) ctx.fillText(`1e${e}`, pad.l-8, yRho(10**e)+4);
+    ctx.textAlign='left';
+    for (let T=TMin;T<=TMax;T+=50) ctx.fillText(String(T), w-pad.r+8, yT(T)+4);
+    ctx.textAlign='center';
+    for (let i=0;i<=5;i++){ const hi=(i/5)*hTop; ctx.fillText(formatEng(hi), xOf(hi), h-26); }
+  }
+
+  // Ground track: horizontal distance from the exit or launch point, with the wind at the jumper's altitude on the right axis
+  function drawChartTrack(canvas, series, events, { overlay=false, pinned=[] } = {}){
+    const { t, x, wind = [] } = series;
+    const m = (v) => fmt(v, 'm');
+    const windy = wind.some(u => u !== 0);
+    const lines = [{ name:'Horizontal distance', t, y: x, color:'#38bdf8', show: m }];
+    if (windy) lines.push({ name:'Wind', t, y: wind, color:'#a78bfa', axis:'right', dash:true, show: (u) => fmt(u, 'm/s') });
+    lines.push(...pinnedLines(pinned, 'x', m));
+    const right = windy ? { label:'wind (m/s)', fmt: (u) => u.toFixed(0) } : null;
+    return drawTimeChart(canvas, { lines, left: { label:'horizontal distance (m)', fmt: formatEng }, right, events, overlay });
   }
 
-  function drawChartAltitude(canvas, series, compareSeries){
+  // Drag coefficient (left axis) and Mach number (right axis) against time, to show the transonic drag rise
+  function drawChartDrag(canvas, series, events, { overlay=false, pinned=[] } = {}){
+    const { t, cd = [], mach = [] } = series;
+    const lines = [
+      { name:'Mach', t, y: mach, color:'#e879f9', axis:'right', show: (M) => M.toFixed(2) },
+      { name:'Cd', t, y: cd, color:'#f59e0b', show: (c) => c.toFixed(3) },
+      ...pinnedLines(pinned, 'cd', (c) => c.toFixed(3), { suffix:'Cd' }),
+    ];
+    // Mach 1 reference
+    const under = (ctx, f) => {
+      ctx.strokeStyle = 'rgba(232,121,249,.5)'; ctx.lineWidth = 1; ctx.setLineDash([2,4]);
+      ctx.beginPath(); ctx.moveTo(f.pad.l, f.yR(1)); ctx.lineTo(f.w - f.pad.r, f.yR(1)); ctx.stroke(); ctx.setLineDash([]);
+    };
+    return drawTimeChart(canvas, {
+      lines, under, events, overlay,
+      left: { label:'drag coefficient Cd', fmt: (c) => c.toFixed(2), max: (c) => Math.max(0.1, c) * 1.15 },
+      right: { label:'Mach number', fmt: (M) => M.toFixed(1), max: (M) => Math.max(1.2, M) * 1.1 },
+    });
+  }
+
+  // Catapult range against launch angle, with and without drag, each with its best angle marked
+  function drawChartAngle(canvas, sweepRes){
     const ctx = canvas.getContext('2d');
-    const { t, h:hs } = series;
+    const w = canvas.width, h = canvas.height;
+    if (sweepRes.pending){
+      ctx.clearRect(0,0,w,h);
+      ctx.fillStyle = '#0b1224'; ctx.fillRect(0,0,w,h);
+      ctx.fillStyle = '#9ca3af'; ctx.font = '14px system-ui'; ctx.textAlign = 'center';
+      ctx.fillText(sweepRes.stopped ? 'Stopped. Choose the Range vs angle tab again to work out the ranges.'
+        : `Working out the range at each launch angle… ${sweepRes.runs} of ${sweepRes.total} runs`, w/2, h/2);
+      return;
+    }
+    const { angles, curves, chosen } = sweepRes;
+    const pad = { l:60, r:15, t:15, b:40 };
+    const plotW = w - pad.l - pad.r, plotH = h - pad.t - pad.b;
+    let rMax = 1;
+    for (const c of curves) for (const r of c.range) rMax = Math.max(rMax, r);
+    rMax *= 1.1;
+    const xOf = (a)=> pad.l + (a/90)*plotW;
+    const yOf = (r)=> pad.t + (1 - r/rMax)*plotH;
+    ctx.clearRect(0,0,w,h);
+    ctx.fillStyle = '#0b1224'; ctx.fillRect(0,0,w,h);
+    ctx.strokeStyle = 'rgba(255,255,255,.08)'; ctx.lineWidth = 1; ctx.beginPath();
+    for (let i=0;i<=5;i++){ const y = pad.t + (i/5)*plotH; ctx.moveTo(pad.l, y); ctx.lineTo(w-pad.r, y); }
+    ctx.stroke();
+    // 45° reference
+    ctx.strokeStyle = 'rgba(255,255,255,.25)'; ctx.setLineDash([2,4]); ctx.beginPath(); ctx.moveTo(xOf(45), pad.t); ctx.lineTo(xOf(45), h-pad.b); ctx.stroke(); ctx.setLineDash([]);
+    ctx.font = '12px system-ui';
+    curves.forEach((c, k) => {
+      ctx.setLineDash(c.dash ? [6,4] : []);
+      ctx.strokeStyle = c.color; ctx.lineWidth = 2; ctx.beginPath();
+      angles.forEach((a, i) => { if (i===0) ctx.moveTo(xOf(a), yOf(c.range[i])); else ctx.lineTo(xOf(a), yOf(c.range[i])); });
+      ctx.stroke(); ctx.setLineDash([]);
+      // Best angle
+      const iBest = c.range.indexOf(Math.max(...c.range));
+      const x = xOf(angles[iBest]), y = yOf(c.range[iBest]);
+      ctx.fillStyle = c.color; ctx.beginPath(); ctx.moveTo(x, y-7); ctx.lineTo(x+6, y); ctx.lineTo(x, y+7); ctx.lineTo(x-6, y); ctx.closePath(); ctx.fill();
+      ctx.textAlign = k ? 'right' : 'left';
+      ctx.fillText(`best ${angles[iBest]}°: ${fmt(c.range[iBest], 'm')}`, x + (k ? -10 : 10), y - 10 - 14*k);
+    });
+    // The angle of the current run, on the curve that matches its drag setting
+    const cur = curves.find(c => c.current);
+    if (cur){
+      const i = angles.indexOf(chosen);
+      if (i >= 0){ ctx.strokeStyle = '#e5e7eb'; ctx.lineWidth = 2; ctx.strokeRect(xOf(chosen)-5, yOf(cur.range[i])-5, 10, 10); }
+    }
+    ctx.fillStyle = '#9ca3af'; ctx.textAlign = 'center';
+    ctx.fillText('launch angle (°)', pad.l + plotW/2, h-8);
+    ctx.save(); ctx.translate(12, pad.t+plotH/2); ctx.rotate(-Math.PI/2); ctx.fillText('range (m)',0,0); ctx.restore();
+    for (let a=0;a<=90;a+=15) ctx.fillText(String(a), xOf(a), h-pad.b+18);
+    ctx.textAlign = 'right';
+    for (let i=0;i<=5;i++){ const r = (i/5)*rMax; ctx.fillText(formatEng(r), pad.l - 8, yOf(r)+4); }
+  }
+
+  // Energy accounting: stacked GPE, KE, thermal and |numerical residual| against time, with the
+  // initial energy as a dashed reference line and a cursor at sample index `at`
+  function drawChartBudget(canvas, series, at, events){
+    const ctx = canvas.getContext('2d');
+    const { t, gpe, ke, ediss, ewind } = series;
     const w = canvas.width, h = canvas.height;
     const tMax = t[t.length-1] || 1;
-    const hmax = Math.max(1, ...hs, ...(compareSeries ? compareSeries.h : [0]));
+    // Energy available so far: the starting energy plus whatever the wind has put in
+    const E0 = gpe[0] + ke[0];
+    const total = gpe.map((_, i) => E0 + (ewind ? ewind[i] : 0));
+    const resid = gpe.map((_, i) => total[i] - (gpe[i] + ke[i] + ediss[i]));
+    let eMax = 1;
+    for (let i=0;i<t.length;i++) eMax = Math.max(eMax, total[i], gpe[i] + ke[i] + ediss[i] + Math.abs(resid[i]));
+    eMax *= 1.05;
     const pad = { l:60, r:15, t:15, b:40 };
     const plotW = w - pad.l - pad.r;
     const plotH = h - pad.t - pad.b;
     const xOf = (ti)=> pad.l + (ti/tMax)*plotW;
-    const yOf = (hi)=> pad.t + (1 - hi/hmax)*plotH;
+    const yOf = (e)=> pad.t + (1 - e/eMax)*plotH;
     ctx.clearRect(0,0,w,h);
     ctx.fillStyle = '#0b1224'; ctx.fillRect(0,0,w,h);
-    ctx.strokeStyle = 'rgba(255,255,255,.08)'; ctx.lineWidth=1; ctx.beginPath();
-    for (let i=0;i<=5;i++){ const yy=pad.t + (i/5)*plotH; ctx.moveTo(pad.l,yy); ctx.lineTo(w-pad.r,yy);} ctx.stroke();
     ctx.fillStyle = '#9ca3af'; ctx.font='12px system-ui'; ctx.textAlign='center'; ctx.fillText('time (s)', pad.l+plotW/2, h-12);
-    ctx.save(); ctx.translate(12, pad.t+plotH/2); ctx.rotate(-Math.PI/2); ctx.fillText('altitude (m)',0,0); ctx.restore();
-    function line(arr, color, dash=false){ if(dash){ctx.setLineDash([6,4]);}else{ctx.setLineDash([]);} ctx.strokeStyle=color; ctx.lineWidth=2; ctx.beginPath(); for(let i=0;i<arr.length;i++){ const x=xOf(t[i]); const y=yOf(arr[i]); if(i===0)ctx.moveTo(x,y); else ctx.lineTo(x,y);} ctx.stroke(); ctx.setLineDash([]); }
-    line(hs, '#38bdf8');
-    if (compareSeries){ const t2=compareSeries.t; const xOf2=(ti)=> pad.l + (ti/t2[t2.length-1])*plotW; ctx.setLineDash([6,4]); ctx.strokeStyle='#38bdf8'; ctx.lineWidth=2; ctx.beginPath(); for(let i=0;i<compareSeries.h.length;i++){ const x=xOf2(t2[i]); const y=yOf(compareSeries.h[i]); if(i===0)ctx.moveTo(x,y); else ctx.lineTo(x,y);} ctx.stroke(); ctx.setLineDash([]);}    
-    ctx.fillStyle='#9ca3af'; ctx.textAlign='right'; for(let i=0;i<=5;i++){ const hi=(i/5)*hmax; const y=yOf(hi); ctx.fillText(formatEng(hi), pad.l-8, y+4);}  
+    ctx.save(); ctx.translate(12, pad.t+plotH/2); ctx.rotate(-Math.PI/2); ctx.fillText('energy (J)',0,0); ctx.restore();
+    // Bands stacked from the bottom: GPE, KE, thermal, |residual|
+    const layers = [[gpe, '#38bdf8'], [ke, '#22c55e'], [ediss, '#f59e0b'], [resid.map(Math.abs), '#ef4444']];
+    // Only the samples that keep each band's peaks at this width
+    const idx = minMaxIndices(t, [...layers.map(([arr]) => arr), total], 0, t.length - 1, Math.ceil(plotW));
+    const base = new Array(idx.length).fill(0);
+    for (const [arr, color] of layers){
+      ctx.beginPath();
+      idx.forEach((i, k) => { const x=xOf(t[i]), y=yOf(base[k] + arr[i]); if(k===0)ctx.moveTo(x,y); else ctx.lineTo(x,y); });
+      for (let k=idx.length-1;k>=0;k--) ctx.lineTo(xOf(t[idx[k]]), yOf(base[k]));
+      ctx.closePath(); ctx.globalAlpha = 0.55; ctx.fillStyle = color; ctx.fill(); ctx.globalAlpha = 1;
+      idx.forEach((i, k) => { base[k] += arr[i]; });
+    }
+    ctx.strokeStyle = '#e5e7eb'; ctx.lineWidth = 1.5; ctx.setLineDash([6,4]);
+    ctx.beginPath();
+    idx.forEach((i, k) => { const x=xOf(t[i]), y=yOf(total[i]); if(k===0)ctx.moveTo(x,y); else ctx.lineTo(x,y); });
+    ctx.stroke(); ctx.setLineDash([]);
+    drawEvents(ctx, events, xOf, pad, h);
+    if (at != null && t[at] != null){
+      const x = xOf(t[at]);
+      ctx.strokeStyle = '#e5e7eb'; ctx.lineWidth = 1; ctx.beginPath(); ctx.moveTo(x, pad.t); ctx.lineTo(x, h-pad.b); ctx.stroke();
+    }
+    ctx.fillStyle='#9ca3af'; ctx.textAlign='right'; for(let i=0;i<=5;i++){ const e=(i/5)*eMax; ctx.fillText(formatEng(e), pad.l-8, yOf(e)+4);}
+  }
+
+  // Vertical dashed markers for discrete events (e.g. parachute deploy) at time ev.t
+  function drawEvents(ctx, events, xOf, pad, h){
+    if (!events || !events.length) return;
+    ctx.save();
+    ctx.font = '12px system-ui'; ctx.textAlign = 'left'; ctx.lineWidth = 1.5;
+    for (const ev of events){
+      const x = xOf(ev.t);
+      ctx.strokeStyle = ev.color || '#f472b6'; ctx.fillStyle = ev.color || '#f472b6';
+      ctx.setLineDash([4,4]); ctx.beginPath(); ctx.moveTo(x, pad.t); ctx.lineTo(x, h - pad.b); ctx.stroke();
+      ctx.setLineDash([]); ctx.fillText(ev.label, x + 4, pad.t + 12);
+    }
+    ctx.restore();
   }
 
   function formatEng(x){
@@ -287,54 +479,572 @@
     return x.toFixed(0);
   }
 
-  function updateLegend(mode){
-    const legend = $('legend');
-    legend.innerHTML = '';
-    const items = [
+  // Legend entries for a chart: { c: colour, t: text, kind: 'solid' | 'dashed' | 'event' }
+  function legendItems(mode, events, chart='energy', res=null){
+    let items = [
       {c:'#38bdf8', t:'GPE'},
       {c:'#22c55e', t:'KE'},
       {c:'#f59e0b', t:'Energy dissipated (drag)'}
     ];
-    for (const it of items){
+    if (chart === 'velocity'){
+      items = [{c:'#22c55e', t:'Speed'}];
+      if (res && res.machMax >= 0.5) items.push({c:'#f472b6', t:'Local speed of sound (dashed)'});
+      if (res && res.machMax >= 1) items.push({c:'rgba(244,114,182,.35)', t:'Supersonic (Mach ≥ 1)'});
+    } else if (chart === 'altitude'){
+      items = [{c:'#38bdf8', t:'Altitude'}];
+    } else if (chart === 'track'){
+      items = [{c:'#38bdf8', t:'Horizontal distance from the exit or launch point'}];
+      if (res && res.series.wind.some(u => u !== 0)) items.push({c:'#a78bfa', t:"Wind at the jumper's altitude (dashed, right axis)", kind:'dashed'});
+    } else if (chart === 'drag'){
+      items = [{c:'#f59e0b', t:'Drag coefficient Cd'}, {c:'#e879f9', t:'Mach number (dotted line = Mach 1)'}];
+    } else if (chart === 'atmosphere'){
+      items = [{c:'#38bdf8', t:'Density ρ'}, {c:'#f59e0b', t:'Temperature T'}, {c:'#9ca3af', t:'Dashed = other atmosphere model'}];
+      events = [];
+    } else if (chart === 'angle'){
+      items = [{c:'#f59e0b', t:'Range with drag'}, {c:'#38bdf8', t:'Range without drag', kind:'dashed'}, {c:'#e5e7eb', t:'◆ best angle, □ this run'}];
+      events = [];
+    }
+    if (chart === 'energy' && res && res.windWork !== 0){
+      items.push({c:'#22c55e', t:'KE of the sideways motion, ½m vx² (dotted)', kind:'dashed'}, {c:'#a78bfa', t:'Work done by the wind'});
+    }
+    if (mode === 'compare' && chart !== 'atmosphere' && chart !== 'drag' && chart !== 'angle' && chart !== 'track'){
+      items.push({c:'#9ca3af', t:'Dashed = no drag', kind:'dashed'});
+    }
+    if (telemetry && $('showTelemetry').checked && ((chart === 'velocity' && telemetry.data.v) || (chart === 'altitude' && telemetry.data.h))){
+      items.push({c: DATA_COLOR, t:`Recorded: ${telemetry.name} (dots)`});
+    }
+    if (chart !== 'atmosphere' && chart !== 'angle'){
+      for (const r of pinnedRuns) items.push({c: r.color, t: `Run ${r.n}: ${r.label}`});
+      if (pinnedRuns.length && chart === 'energy') items.push({c:'#9ca3af', t:'Pinned runs: solid = KE, dotted = GPE', kind:'dashed'});
+    }
+    for (const ev of (events || [])) items.push({c: ev.color || '#f472b6', t: ev.label, kind:'event'});
+    return items;
+  }
+
+  function updateLegend(mode, events, chart='energy', res=null){
+    const legend = $('legend');
+    legend.innerHTML = '';
+    for (const it of legendItems(mode, events, chart, res)){
       const div = document.createElement('div');
       div.className = 'item';
-      div.innerHTML = `<span class="swatch" style="background:${it.c}"></span>${it.t}`;
+      let swatch = `<span class="swatch" style="background:${it.c}"></span>`;
+      if (it.kind === 'dashed') swatch = `<span class="swatch" style="background:linear-gradient(90deg, rgba(255,255,255,.0) 0 40%, currentColor 40% 70%, rgba(255,255,255,.0) 70% 100%); color:${it.c}; border:1px dashed ${it.c}"></span> `;
+      if (it.kind === 'event') swatch = `<span class="swatch" style="background:none; border:1px dashed ${it.c}"></span>`;
+      // The label goes in as text: it can hold an uploaded file's name
+      div.innerHTML = swatch;
+      div.append(it.t);
       legend.appendChild(div);
     }
-    if (mode === 'compare'){
-      const comp = document.createElement('div');
-      comp.className = 'item';
-      comp.innerHTML = `<span class="swatch" style="background:linear-gradient(90deg, rgba(255,255,255,.0) 0 40%, currentColor 40% 70%, rgba(255,255,255,.0) 70% 100%); color:#9ca3af; border:1px dashed #9ca3af"></span> Dashed = no drag`;
-      legend.appendChild(comp);
+  }
+
+  // Legend drawn into an exported image, in a strip of height hStrip starting at y0
+  function drawLegendStrip(ctx, items, y0, w, hStrip){
+    ctx.fillStyle = '#0b1224'; ctx.fillRect(0, y0, w, hStrip);
+    ctx.font = '13px system-ui'; ctx.textAlign = 'left';
+    let x = 60;
+    const y = y0 + hStrip/2;
+    for (const it of items){
+      ctx.setLineDash(it.kind === 'solid' || !it.kind ? [] : [4,3]);
+      if (!it.kind){ ctx.fillStyle = it.c; ctx.fillRect(x, y - 6, 14, 12); }
+      else { ctx.strokeStyle = it.c; ctx.lineWidth = 1.5; ctx.beginPath(); ctx.moveTo(x, y); ctx.lineTo(x + 14, y); ctx.stroke(); }
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#9ca3af'; ctx.fillText(it.t, x + 20, y + 4);
+      x += 20 + ctx.measureText(it.t).width + 24;
     }
   }
 
-  function run(){
+  // The most recent run, kept for redrawing and exporting charts
+  let lastRun = null;
+  // Runs pinned to the history: { n, color, label, params, res }
+  let pinnedRuns = [];
+  let pinCount = 0;
+  // Imported flight data: { name, data: Telemetry }, and the last fit to it
+  let telemetry = null;
+  let lastFit = null;
+  // Setup keys that applying a fit would change
+  const FIT_KEYS = ['drag', 'A', 'atmos', 'rho0', 'H'];
+  // Setup keys locked by a guided lesson
+  let lockedKeys = [];
+  const isLocked = (...keys) => keys.some(k => lockedKeys.includes(k));
+  const PIN_COLORS = ['#a78bfa', '#fb7185', '#facc15', '#2dd4bf', '#fb923c', '#60a5fa', '#f0abfc', '#a3e635'];
+  // Astronaut playback state. There is only ever one requestAnimationFrame loop: a new run reuses it
+  let anim = null;
+  // Sonification of the animation: { ctx, osc, gain } once switched on
+  let sound = null;
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  const CHART_CANVAS = { energy: 'chartEnergy', velocity: 'chartVelocity', altitude: 'chartAltitude', drag: 'chartDrag', track: 'chartTrack', atmosphere: 'chartAtmos', angle: 'chartAngle' };
+  const activeChart = () => document.querySelector('.tab.active')?.dataset.chart || 'energy';
+  const chartEvents = (which) => (which === 'velocity' || which === 'drag') ? lastRun.velEvents : lastRun.events;
+
+  const isTimeChart = (which) => which !== 'atmosphere' && which !== 'angle';
+
+  // Range at every whole-degree launch angle, with and without drag, for the range-vs-angle chart.
+  // Worked out in a worker once per run, only when the chart is shown. Until the ranges arrive this
+  // returns { pending, runs, total } (with stopped set if cancelled), and the chart redraws as they come in.
+  function angleSweep(){
+    const run = lastRun;
+    if (run.angleSweep) return run.angleSweep;
+    const { params } = run;
+    const angles = linspace(1, 89, 89);
+    const jobs = [true, false].flatMap(withDrag => angles.map(launchAngleDeg => ({ ...params, withDrag, launchAngleDeg })));
+    const pending = run.angleSweep = { pending: true, runs: 0, total: jobs.length };
+    const redraw = () => { if (lastRun === run && activeChart() === 'angle') drawChart('angle'); };
+    const counted = (runs) => { pending.runs = runs; redraw(); };
+    const promise = workerJob(simSlots.angle, { jobs, metric: 'range' }, {
+      onProgress: (msg) => { if (msg.type === 'count') counted(msg.runs); },
+      onEnd: () => { $('angleCancel').hidden = true; },
+      runHere: (isCurrent) => simulateHere(jobs, isCurrent, counted, (res) => ({ value: res.range })),
+    });
+    $('angleCancel').hidden = false;
+    promise.then((out) => {
+      if (run.angleSweep !== pending) return;
+      if (!out) pending.stopped = true;
+      else {
+        const range = (k) => out.slice(k * angles.length, (k + 1) * angles.length).map(r => r.value);
+        run.angleSweep = { angles, chosen: params.launchAngleDeg, curves: [
+          { name: 'With drag', color: '#f59e0b', range: range(0), current: params.withDrag },
+          { name: 'No drag', color: '#38bdf8', dash: true, range: range(1), current: !params.withDrag },
+        ] };
+      }
+      redraw();
+    });
+    return pending;
+  }
+
+  // Draws a chart onto its on-screen canvas (with cursor and hover overlay), or onto an export canvas without them
+  function drawChart(which, canvas){
+    const overlay = !canvas;
+    canvas = canvas || $(CHART_CANVAS[which]);
+    const { params, res, resNoDrag } = lastRun;
+    const cmp = resNoDrag ? resNoDrag.series : null;
+    const events = chartEvents(which);
+    const opts = { overlay, pinned: pinnedRuns, data: telemetry && $('showTelemetry').checked ? telemetry.data : null };
+    if (which === 'energy') drawChartEnergy(canvas, res.series, cmp, events, opts);
+    else if (which === 'velocity') drawChartVelocity(canvas, res.series, cmp, events, opts);
+    else if (which === 'altitude') drawChartAltitude(canvas, res.series, cmp, events, opts);
+    else if (which === 'drag') drawChartDrag(canvas, res.series, events, opts);
+    else if (which === 'track') drawChartTrack(canvas, res.series, events, opts);
+    else if (which === 'angle') drawChartAngle(canvas, angleSweep());
+    else drawChartAtmosphere(canvas, params);
+    drawWorldLabel(canvas.getContext('2d'), canvas.height, params.body);
+    if (overlay && isTimeChart(which)){ saveChartBase(canvas); paintOverlay(canvas); }
+    if (overlay) updateChartTable(which, opts);
+  }
+
+  // Data table under the charts: each line of the chart on screen at the run's key moments.
+  // Rebuilt only when the chart's content changes, not on every hover redraw.
+  let chartTableFor = null;
+  function updateChartTable(which, opts){
+    const key = { run: lastRun, which, pins: `${pinCount}:${pinnedRuns.length}`, data: !!opts.data, angles: lastRun.angleSweep, stopped: !!lastRun.angleSweep?.stopped };
+    if (chartTableFor && Object.keys(key).every(k => chartTableFor[k] === key[k])) return;
+    chartTableFor = key;
+    const { caption, head, rows } = chartTable(which);
+    $('chartTableCaption').textContent = caption;
+    const headRow = document.createElement('tr');
+    for (const text of head){ const th = document.createElement('th'); th.scope = 'col'; th.textContent = text; headRow.append(th); }
+    $('chartTable').tHead.replaceChildren(headRow);
+    $('chartTable').tBodies[0].replaceChildren(...rows.map(cells => {
+      const tr = document.createElement('tr');
+      cells.forEach((text, i) => {
+        const td = document.createElement(i === 0 ? 'th' : 'td');
+        if (i === 0) td.scope = 'row';
+        td.textContent = text;
+        tr.append(td);
+      });
+      return tr;
+    }));
+  }
+
+  // Lines a time chart was last drawn with; recorded data dots are left out of tables and read-outs
+  const chartLines = (which) => (chartFrames[CHART_CANVAS[which]]?.lines || []).filter(L => !L.marker);
+
+  function chartTable(which){
+    const tabName = document.querySelector(`.tab[data-chart="${which}"]`)?.textContent || which;
+    if (isTimeChart(which)){
+      const { head, rows } = tableAt(chartLines(which), keyMoments(lastRun.res, chartEvents(which)));
+      return { caption: `${tabName} chart at the key moments of the run`, head, rows };
+    }
+    if (which === 'angle'){
+      const sweepRes = angleSweep();
+      if (sweepRes.pending) return { caption: sweepRes.stopped ? 'The range-vs-angle runs were cancelled.' : 'The ranges are still being worked out.', head: [], rows: [] };
+      const { angles, curves } = sweepRes;
+      const rows = angles.filter(a => a % 5 === 0).map(a => [`${a}°`, ...curves.map(c => fmt(c.range[a - angles[0]], 'm'))]);
+      for (const c of curves){
+        const best = c.range.indexOf(Math.max(...c.range));
+        rows.push([`Best ${c.name.toLowerCase()}: ${angles[best]}°`, ...curves.map(d => fmt(d.range[best], 'm'))]);
+      }
+      return { caption: 'Catapult range at every 5° of launch angle, and the best angle with and without drag', head: ['Launch angle', ...curves.map(c => `Range, ${c.name.toLowerCase()}`)], rows };
+    }
+    // Atmosphere: density and temperature at eleven heights up to the chart's top
+    const { rho0, H, h0, body } = lastRun.params;
+    const models = body.isa ? [['exponential', 'exponential'], ['isa', 'layered']] : [['exponential', 'exponential']];
+    const rows = linspace(0, Math.max(10000, h0 || 0) * 1.1, 11).map(alt => {
+      const cells = [fmt(alt, 'm')];
+      for (const [model] of models){ const a = atmosphereAt(alt, model, rho0, H, body); cells.push(`${a.rho.toPrecision(3)} kg/m³`, `${a.T.toFixed(0)} K`); }
+      return cells;
+    });
+    return { caption: `Atmosphere of ${body.name}: density and temperature against altitude`, head: ['Altitude', ...models.flatMap(([, name]) => [`Density (${name})`, `Temperature (${name})`])], rows };
+  }
+
+  // Which world a chart belongs to, in its bottom-left corner
+  const worldText = (body) => `${body.name}, g₀ = ${body.g0.toFixed(2)} N/kg`;
+  function drawWorldLabel(ctx, h, body){
+    ctx.fillStyle = '#9ca3af'; ctx.font = '11px system-ui'; ctx.textAlign = 'left';
+    ctx.fillText(worldText(body), 8, h - 8);
+  }
+
+  const redrawActive = () => { if (lastRun && isTimeChart(activeChart())) drawChart(activeChart()); };
+  // Only the cursor, hover or selection changed: repaint the overlay on the saved chart
+  const redrawOverlay = () => {
+    const which = activeChart();
+    if (lastRun && isTimeChart(which) && !paintOverlay($(CHART_CANVAS[which]))) drawChart(which);
+  };
+
+  // Linked time cursor: shared by every time chart and the astronaut animation
+  function setCursor(t){
+    chartView.cursorT = t;
+    redrawOverlay();
+  }
+
+  function setZoom(t0, t1){
+    const tMax = Math.max(lastRun.res.tEnd, ...pinnedRuns.map(r => r.res.tEnd), telemetry ? telemetry.data.t[telemetry.data.t.length-1] : 0) || 1;
+    if (t0 == null || t1 - t0 >= tMax){ chartView.t0 = chartView.t1 = null; }
+    else {
+      // Keep the window inside the run and at least a few samples wide
+      const span = Math.max(t1 - t0, 4 * lastRun.params.dt);
+      t0 = Math.min(Math.max(0, t0), tMax - span);
+      chartView.t0 = Math.max(0, t0); chartView.t1 = chartView.t0 + span;
+    }
+    $('zoomReset').disabled = chartView.t0 == null;
+    redrawActive();
+  }
+
+  // Canvas pixel (in CSS px of the element) to simulation time on the chart under the mouse
+  function timeAtEvent(canvas, ev){
+    const f = chartFrames[canvas.id];
+    const r = canvas.getBoundingClientRect();
+    if (!f || !r.width) return null;
+    const px = (ev.clientX - r.left) * canvas.width / r.width;
+    const u = (px - f.pad.l) / f.plotW;
+    return { t: f.t0 + Math.min(1, Math.max(0, u)) * (f.t1 - f.t0), inside: u >= 0 && u <= 1, f, r };
+  }
+
+  // Tooltip listing every series on the chart at the hovered time
+  function showTooltip(canvas, ev, hit){
+    const tip = $('chartTooltip');
+    const rows = [`<div><b>t = ${hit.t.toFixed(hit.t < 10 ? 2 : 1)} s</b></div>`];
+    for (const L of hit.f.lines){
+      if (hit.t > L.t[L.t.length-1]) continue;
+      const i = indexAt(L.t, hit.t);
+      const v = L.y[i];
+      rows.push(`<div><span class="swatch" style="background:${L.color}"></span>${L.name}: ${L.show ? L.show(v) : v.toPrecision(4)}</div>`);
+    }
+    tip.innerHTML = rows.join('');
+    tip.hidden = false;
+    const host = canvas.parentElement.getBoundingClientRect();
+    const x = ev.clientX - host.left, y = ev.clientY - host.top;
+    // Flip to the left of the pointer on the right half so it stays inside the card
+    tip.style.left = `${x < host.width/2 ? x + 14 : x - 14 - tip.offsetWidth}px`;
+    tip.style.top = `${Math.max(0, y - 10)}px`;
+  }
+
+  function hideTooltip(){
+    $('chartTooltip').hidden = true;
+    if (chartView.hoverT != null){ chartView.hoverT = null; redrawOverlay(); }
+  }
+
+  // Hover readout, drag-to-zoom, Shift-drag pan, double-click reset, click to place the cursor
+  function wireChart(canvas){
+    let drag = null;
+    canvas.addEventListener('mousedown', (ev) => {
+      const hit = timeAtEvent(canvas, ev);
+      if (!hit || !hit.inside) return;
+      drag = { t: hit.t, x: ev.clientX, pan: ev.shiftKey, t0: hit.f.t0, t1: hit.f.t1, perPx: (hit.f.t1 - hit.f.t0) * canvas.width / (hit.f.plotW * hit.r.width) };
+      ev.preventDefault();
+    });
+    canvas.addEventListener('mousemove', (ev) => {
+      const hit = timeAtEvent(canvas, ev);
+      if (!hit) return;
+      if (drag && drag.pan){
+        const dt = (drag.x - ev.clientX) * drag.perPx;
+        setZoom(drag.t0 + dt, drag.t1 + dt);
+        return;
+      }
+      chartView.select = drag && Math.abs(ev.clientX - drag.x) > 3 ? [drag.t, hit.t] : null;
+      if (hit.inside){ chartView.hoverT = hit.t; showTooltip(canvas, ev, hit); }
+      else { chartView.hoverT = null; $('chartTooltip').hidden = true; }
+      redrawOverlay();
+    });
+    canvas.addEventListener('mouseup', (ev) => {
+      if (!drag) return;
+      const d = drag; drag = null;
+      const sel = chartView.select; chartView.select = null;
+      if (sel) setZoom(Math.min(...sel), Math.max(...sel));
+      else if (!d.pan || Math.abs(ev.clientX - d.x) <= 3) seekAnimation(d.t);
+    });
+    canvas.addEventListener('mouseleave', () => { drag = null; chartView.select = null; hideTooltip(); });
+    canvas.addEventListener('dblclick', () => setZoom(null));
+    // Keyboard: arrows step the cursor through the view, Page Up/Down jump between key moments
+    canvas.addEventListener('keydown', (ev) => {
+      const f = chartFrames[canvas.id];
+      if (!f || !lastRun) return;
+      const span = f.t1 - f.t0;
+      const now = chartView.cursorT ?? f.t0;
+      const moments = keyMoments(lastRun.res, chartEvents(activeChart()));
+      let t;
+      if (ev.key === 'ArrowRight' || ev.key === 'ArrowLeft') t = now + (ev.key === 'ArrowRight' ? 1 : -1) * span * (ev.shiftKey ? 0.1 : 0.01);
+      else if (ev.key === 'Home') t = f.t0;
+      else if (ev.key === 'End') t = f.t1;
+      else if (ev.key === 'PageDown') t = (moments.find(m => m.t > now + 1e-9) || { t: now }).t;
+      else if (ev.key === 'PageUp') t = (moments.filter(m => m.t < now - 1e-9).pop() || { t: now }).t;
+      else return;
+      ev.preventDefault();
+      t = Math.min(f.t1, Math.max(f.t0, t));
+      seekAnimation(t);
+      const at = moments.find(m => Math.abs(m.t - t) < 1e-9);
+      $('chartAnnounce').textContent = describeAt(chartLines(activeChart()), t, at ? at.label : '');
+    });
+  }
+
+  // Simulation inputs from the setup form
+  function readParams(){
     const m = parseFloat($('mass').value);
     const scenario = getScenario();
-    const h0Input = parseFloat($('h0').value);
-    const h0 = scenario === 'catapult' ? 0 : h0Input;
+    // The catapult starts from its launch platform
+    const h0 = scenario === 'catapult' ? parseFloat($('launchH').value) : parseFloat($('h0').value);
     const dt = parseFloat($('dt').value);
+    const integrator = $('integrator').value;
+    const tol = parseFloat($('rkTol').value);
   const withDrag = $('withDrag').checked;
   const gravityModel = $('gravityModel').value;
-    const mode = $('mode').value;
-    const springK = parseFloat($('springK')?.value || '0');
-    const springX = parseFloat($('springX')?.value || '0');
-    const launchAngleDeg = parseFloat($('launchAngle')?.value || '45');
+    const springK = parseFloat($('springK').value);
+    const springX = parseFloat($('springX').value);
+    const launchAngleDeg = parseFloat($('launchAngle').value);
 
     const Cd = parseFloat($('Cd').value);
     const A = parseFloat($('area').value);
     const rho0 = parseFloat($('rho0').value);
     const H = parseFloat($('scaleH').value);
+    const atmosModel = $('atmosModel').value;
+    const cdMachCurve = cdMachCurveFromUI();
+
+    const withChute = $('withChute').checked;
+    const deployAlt = parseFloat($('deployAlt').value);
+    const chuteCd = parseFloat($('chuteCd').value);
+    const chuteA = parseFloat($('chuteArea').value);
+    const inflateTime = parseFloat($('inflateTime').value);
+    const posture = postureFromUI();
+    const body = bodyFromUI();
+    const wind = windFromUI();
+
+    return { m, h0, dt, withDrag, gravityModel, body, Cd, A, rho0, H, atmosModel, cdMachCurve, wind, scenario, springK, springX, launchAngleDeg, withChute, deployAlt, chuteCd, chuteA, inflateTime, posture, integrator, tol };
+  }
+
+  // Wind profile from the form: null for still air, otherwise [altitude, wind] points
+  function windFromUI(){
+    if (!$('withWind').checked) return null;
+    const mode = $('windMode').value;
+    if (mode === 'jetstream') return JET_STREAM;
+    if (mode === 'custom'){ const pts = readWindTable(); return pts.length ? pts : null; }
+    return [[0, parseFloat($('windSpeed').value)]];
+  }
+
+  // The selected world; a custom one takes its gravity, radius and gas from the form
+  function bodyFromUI(){
+    const preset = BODIES[$('world').value];
+    if (preset) return preset;
+    const g = parseFloat($('bodyG').value);
+    return {
+      name: 'Custom world', g0: g, gSimple: g, R: parseFloat($('bodyR').value) * 1000,
+      rho0: parseFloat($('rho0').value), H: parseFloat($('scaleH').value),
+      molarMass: parseFloat($('bodyM').value) / 1000, gamma: parseFloat($('bodyGamma').value),
+    };
+  }
+
+  // Form inputs behind each SimParams key, for highlighting invalid values
+  const PARAM_INPUTS = {
+    m: ['mass'], dt: ['dt'], tol: ['rkTol'], Cd: ['Cd'], A: ['area'], rho0: ['rho0'], H: ['scaleH'],
+    deployAlt: ['deployAlt'], chuteCd: ['chuteCd'], chuteA: ['chuteArea'], inflateTime: ['inflateTime'],
+    springK: ['springK'], springX: ['springX'], launchAngleDeg: ['launchAngle'], wind: ['windSpeed'],
+    body: ['bodyG', 'bodyR', 'bodyM', 'bodyGamma'],
+  };
+  function markInvalidInputs(problems, scenario){
+    const bad = new Set();
+    for (const { key } of problems){
+      for (const id of key === 'h0' ? [scenario === 'catapult' ? 'launchH' : 'h0'] : PARAM_INPUTS[key] || []) bad.add(id);
+    }
+    for (const id of ['h0', 'launchH', ...Object.values(PARAM_INPUTS).flat()]){
+      const el = $(id);
+      if (!el) continue;
+      if (bad.has(id)) el.setAttribute('aria-invalid', 'true'); else el.removeAttribute('aria-invalid');
+    }
+  }
+
+  // Warnings under the Run button; an empty list clears them
+  function showWarnings(lines, heading=''){
+    const box = $('runWarnings');
+    box.replaceChildren();
+    box.hidden = !lines.length;
+    if (!lines.length) return;
+    if (heading){ const p = document.createElement('strong'); p.textContent = heading; box.append(p); }
+    const ul = document.createElement('ul');
+    for (const line of lines){ const li = document.createElement('li'); li.textContent = line; ul.append(li); }
+    box.append(ul);
+  }
 
-  const params = { m, h0, dt, withDrag, gravityModel, Cd, A, rho0, H, scenario, springK, springX, launchAngleDeg };
-    const res = simulate(params);
-    let resNoDrag = null;
-    if (mode === 'compare'){
-      resNoDrag = simulate({ m, h0, dt, withDrag:false, gravityModel, Cd, A, rho0, H, scenario, springK, springX, launchAngleDeg });
+  // Runs that stop at the time limit have not landed, so their "impact" figures are only the cutoff
+  function runWarnings(params, res, resNoDrag){
+    const out = [];
+    const limit = params.scenario === 'catapult' ? '2000 s' : '3600 s';
+    if (res.endLabel !== 'ground'){
+      out.push(`The run stopped at the ${limit} time limit, ${fmt(res.series.h[res.series.h.length-1], 'm')} above the ground. Impact speed and time are the values at the cutoff, not at landing.`);
     }
+    if (resNoDrag && resNoDrag.endLabel !== 'ground') out.push(`The no-drag comparison also stopped at the ${limit} time limit.`);
+    return out;
+  }
+
+  // Simulation work goes to workers so long runs and batches neither freeze the page nor block Cancel.
+  // The Run button, sweeps, drag fits and the range-vs-angle chart each have their own worker, so
+  // cancelling or starting one leaves the others running. Without worker support, or if a worker cannot
+  // start (e.g. the page opened from file://), the work runs here instead.
+  let workerFailed = false;
+  const simSlots = { run: {}, sweep: {}, fit: {}, angle: {} };
+  for (const slot of Object.values(simSlots)) Object.assign(slot, { worker: null, job: null, seq: 0 });
 
-    const gpe0 = initialGPE(m, h0, gravityModel);
+  // Stop the slot's job, if any; its promise resolves to null. Returns whether there was one.
+  function cancelJob(slot){
+    const job = slot.job;
+    if (!job) return false;
+    slot.job = null;
+    if (slot.worker){ slot.worker.terminate(); slot.worker = null; }
+    job.onEnd();
+    job.resolve(null);
+    return true;
+  }
+
+  // Send a message (see sim-worker.mjs) to the slot's worker, cancelling its previous job. Resolves to the
+  // results, or null if the job was cancelled or failed. onProgress gets the worker's progress and count
+  // messages; onEnd runs however the job ends. runHere(isCurrent) does the same work on this thread and
+  // may return a promise; a batch should check isCurrent() between runs and give up once it is false.
+  function workerJob(slot, message, { onProgress=() => {}, onEnd=() => {}, onError=() => {}, runHere }){
+    cancelJob(slot);
+    return new Promise((resolve) => {
+      const job = slot.job = { id: ++slot.seq, resolve, onEnd };
+      const isCurrent = () => slot.job === job;
+      const finish = (results) => {
+        if (!isCurrent()) return;
+        slot.job = null;
+        onEnd();
+        resolve(results);
+      };
+      // On this thread instead, reporting a throw the way the worker reports an error
+      const here = () => new Promise((done) => done(runHere(isCurrent)))
+        .then(finish, (err) => { onError(err.message); finish(null); });
+      if (workerFailed || typeof Worker === 'undefined'){ here(); return; }
+      try {
+        slot.worker = slot.worker || new Worker('sim-worker.mjs', { type: 'module' });
+      } catch {
+        workerFailed = true;
+        here();
+        return;
+      }
+      slot.worker.onmessage = (e) => {
+        const msg = e.data;
+        if (!isCurrent() || msg.id !== job.id) return;
+        if (msg.type === 'progress' || msg.type === 'count') onProgress(msg);
+        else if (msg.type === 'done') finish(msg.results);
+        else { onError(msg.message); finish(null); }
+      };
+      slot.worker.onerror = (e) => {
+        if (!isCurrent()) return;
+        e.preventDefault();
+        slot.worker = null;
+        workerFailed = true;
+        here();
+      };
+      slot.worker.postMessage({ id: job.id, ...message });
+    });
+  }
+
+  // simulate() for each of a batch of runs on this thread, letting the page repaint and Cancel work between runs
+  async function simulateHere(jobs, isCurrent, onRun, pick=(res) => res){
+    const results = [];
+    for (const params of jobs){
+      results.push(pick(simulate(params)));
+      onRun(results.length);
+      await new Promise(r => setTimeout(r, 0));
+      if (!isCurrent()) return null;
+    }
+    return results;
+  }
+
+  // Stop the run in progress, if any
+  function cancelRun(byUser=false){
+    if (cancelJob(simSlots.run) && byUser) showWarnings(['Run cancelled. The results shown are from the previous run.']);
+  }
+
+  // Run the simulation for the current form. Resolves to true once the results are shown,
+  // false if an input is invalid or the run was cancelled (a newer run cancels an older one).
+  function run(){
+    const params = readParams();
+    const mode = $('mode').value;
+    cancelRun();
+    const problems = checkParams(params);
+    markInvalidInputs(problems, params.scenario);
+    if (problems.length){
+      showWarnings(problems.map(p => p.message), 'Not run: fix the highlighted inputs.');
+      return Promise.resolve(false);
+    }
+    // The drag-free run feeds the comparison and the diagnostics
+    const jobs = params.withDrag ? [params, { ...params, withDrag:false }] : [params];
+    const finish = (results) => {
+      if (!results) return false;
+      showRun(params, mode, results[0], results[results.length-1]);
+      return true;
+    };
+    if (workerFailed || typeof Worker === 'undefined') return Promise.resolve(finish(jobs.map(p => simulate(p))));
+    const tEstimate = params.scenario === 'catapult' ? analyticNoDrag(params).tEnd : null;
+    // Quick runs finish before the progress bar would be worth showing
+    const timer = setTimeout(() => { $('runProgressRow').hidden = false; $('cancelRun').hidden = false; }, 200);
+    $('runProgress').value = 0;
+    $('runStatus').textContent = 'Simulating…';
+    return workerJob(simSlots.run, { jobs }, {
+      onProgress: (msg) => {
+        if (msg.type !== 'progress') return;
+        // Freefall: share of the height fallen; catapult: time against the drag-free flight time
+        const f = tEstimate ? Math.min(0.99, msg.t / tEstimate) : 1 - msg.h / params.h0;
+        $('runProgress').value = (msg.job + Math.max(0, f)) / jobs.length;
+        $('runStatus').textContent = `Simulating… t = ${fmt(msg.t, 's')}, h = ${fmt(msg.h, 'm')}${jobs.length > 1 ? ` (run ${msg.job + 1} of ${jobs.length})` : ''}`;
+      },
+      onEnd: () => {
+        clearTimeout(timer);
+        $('runProgressRow').hidden = true;
+        $('cancelRun').hidden = true;
+      },
+      onError: (message) => showWarnings([`The simulation failed: ${message}`]),
+      runHere: () => jobs.map(p => simulate(p)),
+    }).then(finish);
+  }
+
+  function showRun(params, mode, res, noDrag){
+    const { m, h0, withDrag, gravityModel, body, scenario, springK, springX } = params;
+    const resNoDrag = mode === 'compare' ? noDrag : null;
+    showDiagnostics(params, res, noDrag);
+    showWarnings(runWarnings(params, res, resNoDrag));
+    const events = res.deploy ? [{ t: res.deploy.t, label: 'Parachute deploy' }] : [];
+    const iSonic = res.series.mach.findIndex(M => M >= 1);
+    // Each posture keyframe taking over
+    if (params.posture){
+      const frames = sortPosture(params.posture).frames;
+      const ps = res.series.posture;
+      for (let i=1;i<ps.length;i++){
+        if (ps[i] !== ps[i-1] && ps[i] >= 0) events.push({ t: res.series.t[i], label: `Position: ${postureLabel(frames[ps[i]].name)}`, color: '#a3e635' });
+      }
+    }
+    const velEvents = iSonic >= 0 ? events.concat([{ t: res.series.t[iSonic], label: 'Mach 1', color: '#e879f9' }]) : events;
+
+    const gpe0 = initialGPE(m, h0, gravityModel, body);
+    $('worldName').textContent = `${worldText(body)}, R = ${Math.round(body.R / 1000)} km, ${params.rho0 > 0 ? `ρ₀ = ${params.rho0} kg/m³` : 'no air'}`;
     $('gpe0').textContent = fmt(gpe0, 'J');
     // EPE metric
     const epe = scenario === 'catapult' ? 0.5 * springK * springX * springX : 0;
@@ -342,52 +1052,915 @@
     const v0El = $('v0');
     if (v0El){
       if (scenario === 'catapult' && epe > 0 && m > 0){
-        const v0 = Math.sqrt(2*epe/m);
-        v0El.textContent = fmt(v0, 'm/s');
+        v0El.textContent = fmt(res.series.v[0], 'm/s');
       } else {
         v0El.textContent = '—';
       }
     }
+    // Trajectory metrics (catapult only)
+    if (scenario === 'catapult'){
+      $('springEff').textContent = res.efficiency != null ? `${(100 * res.efficiency).toFixed(1)} %` : '—';
+      $('range').textContent = fmt(res.range, 'm');
+      $('apexH').textContent = `${fmt(res.apex.h, 'm')} (${fmt(res.apex.h - h0, 'm')} above launch)`;
+      $('tApex').textContent = fmt(res.apex.t, 's');
+      $('landAngle').textContent = res.endLabel === 'ground' ? `${res.landingAngleDeg.toFixed(1)}° below horizontal` : '—';
+    } else {
+      for (const id of ['springEff', 'range', 'apexH', 'tApex', 'landAngle']) $(id).textContent = '—';
+    }
+    // Sideways drift in a wind (freefall only; positive is the +x direction the wind blows for positive speeds)
+    if (scenario === 'freefall'){
+      $('driftDeploy').textContent = res.deploy ? fmt(res.deploy.x, 'm') : '—';
+      $('landOffset').textContent = fmt(res.range, 'm');
+      $('windWork').textContent = fmt(res.windWork, 'J');
+    } else {
+      for (const id of ['driftDeploy', 'landOffset', 'windWork']) $(id).textContent = '—';
+    }
     $('keMax').textContent = fmt(res.keMax, 'J');
     $('eDiss').textContent = withDrag ? fmt(res.eDiss, 'J') : '0 J (no drag)';
     $('vMax').textContent = fmt(res.vMax, 'm/s');
     $('tEnd').textContent = fmt(res.tEnd, 's');
     $('vEnd').textContent = fmt(Math.abs(res.vEnd), 'm/s');
-
-    // Active chart
-    const activeTab = document.querySelector('.tab.active')?.dataset.chart || 'energy';
-    if (activeTab === 'energy'){
-      drawChartEnergy($('chartEnergy'), res.series, resNoDrag ? resNoDrag.series : null);
-    } else if (activeTab === 'velocity'){
-      drawChartVelocity($('chartVelocity'), res.series, resNoDrag ? resNoDrag.series : null);
+    $('machMax').textContent = `${res.machMax.toFixed(2)}${res.machMax >= 1 ? ' (supersonic)' : ''}`;
+    const iCd = res.series.cd.reduce((best, c, i, arr) => c > arr[best] ? i : best, 0);
+    $('cdPeak').textContent = res.series.cd.length ? `${res.series.cd[iCd].toFixed(2)} (at Mach ${res.series.mach[iCd].toFixed(2)})` : '—';
+    if (res.deploy){
+      $('tDeploy').textContent = `${fmt(res.deploy.t, 's')} (at ${Math.round(res.deploy.h)} m)`;
+      $('vDeploy').textContent = fmt(res.deploy.v, 'm/s');
+      $('aOpen').textContent = `${fmt(res.aOpenMax, 'm/s²')} (${(res.aOpenMax/g0).toFixed(1)} g)`;
+      $('vLand').textContent = fmt(Math.abs(res.vEnd), 'm/s');
     } else {
-      drawChartAltitude($('chartAltitude'), res.series, resNoDrag ? resNoDrag.series : null);
+      for (const id of ['tDeploy', 'vDeploy', 'aOpen', 'vLand']) $(id).textContent = '—';
     }
 
-    updateLegend(mode);
+    // A range-vs-angle scan for the previous run is no longer wanted
+    cancelJob(simSlots.angle);
+    lastRun = { params, setup: readSetup(), res, resNoDrag, resIdeal: noDrag, events, velEvents, mode };
+    Object.assign(chartView, { t0: null, t1: null, cursorT: null, hoverT: null, select: null });
+    $('zoomReset').disabled = true;
+    // Active chart
+    const activeTab = activeChart();
+    drawChart(activeTab);
+    updateLegend(mode, chartEvents(activeTab), activeTab, res);
     // Drive astronaut animation from primary series
     animateAstronaut(res.series);
+    showBudget(res.series, scenario, events);
+    showWorking();
+    updateRunTable();
+    refreshTelemetry();
+    updatePermalink();
+  }
+
+  // Short description of the settings behind a run, for legends and the history table
+  function runSummary(p){
+    const parts = [p.scenario === 'catapult' ? `catapult k = ${p.springK} N/m, x = ${p.springX} m, ${p.launchAngleDeg}°${p.h0 > 0 ? ` from ${p.h0} m` : ''}` : `h₀ = ${p.h0} m`, `m = ${p.m} kg`];
+    parts.push(p.withDrag ? `drag C_d = ${p.Cd}, A = ${p.A} m²` : 'no drag');
+    if (p.withDrag && p.posture) parts.push(`${p.posture.frames.length} posture changes`);
+    if (p.withDrag && p.withChute && p.scenario !== 'catapult') parts.push(`chute at ${p.deployAlt} m`);
+    if (p.withDrag && p.wind && p.scenario !== 'catapult') parts.push(p.wind === JET_STREAM ? 'jet-stream wind' : p.wind.length === 1 ? `wind ${p.wind[0][1]} m/s` : 'layered wind');
+    parts.push(p.gravityModel === 'real' ? 'g(h)' : `g = ${p.body.gSimple}`);
+    if (p.body !== BODIES.earth) parts.unshift(p.body.name);
+    return parts.join(', ');
+  }
+
+  function pinRun(){
+    if (!lastRun) return;
+    const n = ++pinCount;
+    const { params, res } = lastRun;
+    pinnedRuns.push({ n, color: PIN_COLORS[(n - 1) % PIN_COLORS.length], label: runSummary(params), params, res });
+    refreshPinned();
+  }
+
+  function unpinRun(n){
+    pinnedRuns = pinnedRuns.filter(r => r.n !== n);
+    refreshPinned();
+  }
+
+  function clearPins(){
+    pinnedRuns = [];
+    refreshPinned();
+  }
+
+  function refreshPinned(){
+    if (!lastRun) return;
+    const which = activeChart();
+    drawChart(which);
+    updateLegend(lastRun.mode, chartEvents(which), which, lastRun.res);
+    updateRunTable();
+  }
+
+  // Side-by-side metrics for the current run and every pinned run
+  function updateRunTable(){
+    const body = $('runTable').tBodies[0];
+    body.innerHTML = '';
+    const rows = [{ n: null, color: '#e5e7eb', label: runSummary(lastRun.params), params: lastRun.params, res: lastRun.res }, ...pinnedRuns];
+    for (const r of rows){
+      const { res, params } = r;
+      const tr = document.createElement('tr');
+      const cells = [fmt(res.keMax, 'J'), fmt(res.vMax, 'm/s'), fmt(res.tEnd, 's'), fmt(Math.abs(res.vEnd), 'm/s'), params.withDrag ? fmt(res.eDiss, 'J') : '0 J'];
+      tr.innerHTML = `<td><span class="swatch" style="background:${r.color}"></span>${r.n ? `Run ${r.n}` : 'Current'}<span class="params">${r.label}</span></td>`
+        + cells.map(c => `<td>${c}</td>`).join('') + '<td></td>';
+      if (r.n){
+        const btn = document.createElement('button');
+        btn.className = 'secondary'; btn.textContent = 'Remove';
+        btn.setAttribute('aria-label', `Remove run ${r.n}`);
+        btn.addEventListener('click', () => unpinRun(r.n));
+        tr.lastChild.appendChild(btn);
+      }
+      body.appendChild(tr);
+    }
+    $('clearPins').disabled = !pinnedRuns.length;
+  }
+  // Recorded flight data: read a CSV, overlay it on the velocity and altitude charts and fit the drag to it
+  function importTelemetry(file){
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        telemetry = { name: file.name, data: parseTelemetry(String(reader.result)) };
+      } catch (err){
+        $('telemetryStatus').textContent = `Could not read ${file.name}: ${err.message}`;
+        return;
+      }
+      // A fit to the old data no longer applies
+      cancelJob(simSlots.fit);
+      lastFit = null;
+      $('showTelemetry').checked = true;
+      refreshTelemetry();
+      refreshPinned();
+    };
+    reader.readAsText(file);
+  }
+
+  function clearTelemetry(){
+    cancelJob(simSlots.fit);
+    telemetry = null; lastFit = null;
+    refreshTelemetry();
+    refreshPinned();
+  }
+
+  // Status line, how well the current run matches, and which buttons apply
+  function refreshTelemetry(){
+    const has = !!telemetry;
+    for (const id of ['showTelemetry', 'clearTelemetry']) $(id).disabled = !has;
+    $('fitDrag').disabled = !has || !!simSlots.fit.job;
+    $('fitApply').disabled = !lastFit || isLocked(...FIT_KEYS);
+    if (!has){ $('telemetryStatus').textContent = 'No flight data loaded.'; $('fitResult').textContent = ''; return; }
+    const { data } = telemetry;
+    const cols = [data.h && 'altitude', data.v && 'speed'].filter(Boolean).join(' and ');
+    let text = `${telemetry.name}: ${data.t.length} points of ${cols} from ${fmt(data.t[0], 's')} to ${fmt(data.t[data.t.length-1], 's')}.`;
+    if (lastRun){
+      const fit = misfit(lastRun.res.series, data);
+      text += ` Current run misfit: ${rmsText(fit)}.`;
+    }
+    $('telemetryStatus').textContent = text;
+  }
+
+  const rmsText = (fit) => [fit.rmsV != null && `speed ${fmt(fit.rmsV, 'm/s')} RMS`, fit.rmsH != null && `altitude ${fmt(fit.rmsH, 'm')} RMS`].filter(Boolean).join(', ');
+
+  async function runFit(){
+    if (!telemetry || !lastRun) return;
+    const fitRho0 = $('fitRho0').checked, fitH = $('fitH').checked;
+    const base = lastRun.params, { data } = telemetry;
+    $('fitResult').textContent = 'Fitting…';
+    const promise = workerJob(simSlots.fit, { fit: { base, data, opts: { fitRho0, fitH } } }, {
+      onProgress: (msg) => { if (msg.type === 'count') $('fitResult').textContent = `Fitting… ${msg.runs} runs so far`; },
+      onEnd: () => { $('fitCancel').hidden = true; $('fitDrag').disabled = !telemetry; },
+      onError: (message) => { $('fitResult').textContent = `The fit failed: ${message}`; },
+      runHere: async () => {
+        // Let the page repaint before the fit blocks it
+        await new Promise(r => setTimeout(r, 0));
+        return fitDrag(base, data, { fitRho0, fitH });
+      },
+    });
+    $('fitDrag').disabled = true;
+    $('fitCancel').hidden = false;
+    const fit = await promise;
+    if (!fit) return;
+    lastFit = fit;
+    const parts = [`Best fit C_d·A = ${fit.CdA.toFixed(3)} m²`];
+    if (fitRho0) parts.push(`ρ₀ = ${fit.rho0.toFixed(3)} kg/m³`);
+    if (fitH) parts.push(`H = ${Math.round(fit.H)} m`);
+    $('fitResult').textContent = `${parts.join(', ')} after ${fit.evals} runs. Residual error: ${rmsText(fit)}.`;
+    $('fitApply').disabled = isLocked(...FIT_KEYS);
+  }
+
+  // Put the fitted values into the setup (keeping C_d, so the area absorbs the change) and rerun
+  function applyFit(){
+    if (!lastFit || isLocked(...FIT_KEYS)) return;
+    const { params } = lastFit;
+    // The fitted Cd·A becomes an area for the Cd on the form, so that Cd must be above 0
+    const Cd = parseFloat($('Cd').value);
+    if (!(Cd > 0)){
+      $('Cd').setAttribute('aria-invalid', 'true');
+      $('fitResult').textContent = 'Set Cd above 0 to apply the fit: its Cd·A is turned into an area for that Cd.';
+      return;
+    }
+    $('withDrag').checked = true;
+    $('area').value = +(params.A * params.Cd / Cd).toPrecision(4);
+    if (params.atmosModel === 'exponential'){
+      $('atmosModel').value = 'exponential';
+      $('rho0').value = +params.rho0.toPrecision(4);
+      $('scaleH').value = Math.round(params.H);
+    }
+    lastFit = null;
+    run();
+  }
+
+  // Inputs a sweep can vary: simulate() key, label, unit, setup form id, and the scenario it belongs to (if only one)
+  const SWEEP_PARAMS = [
+    { key:'m', label:'Mass', unit:'kg', id:'mass' },
+    { key:'Cd', label:'Drag coefficient C_d', unit:'', id:'Cd' },
+    { key:'A', label:'Area A', unit:'m²', id:'area' },
+    { key:'h0', label:'Jump altitude h₀', unit:'m', id:'h0', scenario:'freefall' },
+    { key:'rho0', label:'Surface density ρ₀', unit:'kg/m³', id:'rho0' },
+    { key:'H', label:'Scale height H', unit:'m', id:'scaleH' },
+    { key:'springK', label:'Spring constant k', unit:'N/m', id:'springK', scenario:'catapult' },
+    { key:'springX', label:'Extension x', unit:'m', id:'springX', scenario:'catapult' },
+    { key:'launchAngleDeg', label:'Launch angle', unit:'°', id:'launchAngle', scenario:'catapult' },
+  ];
+  const SWEEP_METRICS = [
+    { key:'vMax', label:'Max speed', unit:'m/s' },
+    { key:'keMax', label:'Max KE', unit:'J' },
+    { key:'eDiss', label:'Energy dissipated', unit:'J' },
+    { key:'tEnd', label:'Time until ground', unit:'s' },
+    { key:'vEnd', label:'Impact speed', unit:'m/s' },
+    { key:'range', label:'Range', unit:'m', scenario:'catapult' },
+  ];
+  const sweepParam = (key) => SWEEP_PARAMS.find(p => p.key === key);
+  const withUnit = (p) => p.unit ? `${p.label} (${p.unit})` : p.label;
+
+  // Offer only the inputs and results that mean something in the current scenario. Inputs a lesson
+  // has locked are listed but cannot be picked.
+  function refreshSweepOptions(scenario){
+    const fill = (sel, list) => {
+      const keep = sel.value;
+      sel.innerHTML = '';
+      for (const p of list){
+        if (p.scenario && p.scenario !== scenario) continue;
+        const opt = document.createElement('option');
+        opt.value = p.key; opt.textContent = withUnit(p);
+        opt.disabled = !!p.id && $(p.id).disabled;
+        sel.appendChild(opt);
+      }
+      const open = [...sel.options].filter(o => !o.disabled);
+      sel.value = open.some(o => o.value === keep) ? keep : open.length ? open[0].value : '';
+      return sel.value !== keep;
+    };
+    if (fill($('sweepParam'), SWEEP_PARAMS)) sweepDefaults('');
+    if (fill($('sweepParam2'), SWEEP_PARAMS)) sweepDefaults('2');
+    fill($('sweepMetric'), SWEEP_METRICS);
+    syncSweepButton();
+  }
+
+  // Suggest a range around the current setting: half to double it (angles span 5–85°, heights start at 1 km)
+  function sweepDefaults(suffix){
+    const p = sweepParam($(`sweepParam${suffix}`).value);
+    if (!p) return;
+    const v = parseFloat($(p.id).value) || 1;
+    const round = (x) => +x.toPrecision(3);
+    const [lo, hi] = p.key === 'launchAngleDeg' ? [5, 85] : p.key === 'h0' ? [1000, Math.max(2000, v)] : [round(v / 2), round(v * 2)];
+    $(`sweepFrom${suffix}`).value = lo;
+    $(`sweepTo${suffix}`).value = hi;
+  }
+
+  function readSweepAxis(suffix, maxSteps){
+    const p = sweepParam($(`sweepParam${suffix}`).value);
+    const lo = parseFloat($(`sweepFrom${suffix}`).value), hi = parseFloat($(`sweepTo${suffix}`).value);
+    const n = Math.round(parseFloat($(`sweepSteps${suffix}`).value));
+    if (!p || !isFinite(lo) || !isFinite(hi) || !(n >= 2)) return null;
+    return { ...p, values: linspace(lo, hi, Math.min(n, maxSteps)) };
+  }
+
+  // Run sweep is off while a sweep runs or when every input is locked
+  const syncSweepButton = () => { $('sweepRun').disabled = !$('sweepParam').value || !!simSlots.sweep.job; };
+
+  async function runSweep(){
+    const status = $('sweepStatus');
+    const two = $('sweep2d').checked;
+    const xAxis = readSweepAxis('', two ? 60 : 200);
+    const yAxis = two ? readSweepAxis('2', 60) : null;
+    const metric = SWEEP_METRICS.find(p => p.key === $('sweepMetric').value);
+    if (!xAxis || (two && !yAxis)){ status.textContent = 'Enter a from and to value and at least 2 steps for each input.'; return; }
+    if (yAxis && yAxis.key === xAxis.key){ status.textContent = 'Choose two different inputs for a heat map.'; return; }
+    const base = readParams();
+    // Refuse the same inputs the Run button refuses, in the setup or anywhere along a swept range
+    const axes = [xAxis, yAxis].filter(Boolean);
+    const problems = new Set(checkParams(base).filter(p => !axes.some(a => a.key === p.key)).map(p => p.message));
+    for (const axis of axes){
+      for (const v of axis.values) for (const p of checkParams({ ...base, [axis.key]: v })) if (p.key === axis.key) problems.add(`${withUnit(axis)} = ${+v.toPrecision(4)}: ${p.message}`);
+    }
+    if (problems.size){ status.textContent = `Not run: ${[...problems].join(' ')}`; return; }
+    // Every run of the grid, a row of the first input per value of the second
+    const rows = yAxis ? yAxis.values : [null];
+    const jobs = rows.flatMap(yv => xAxis.values.map(xv => ({ ...base, ...(yAxis ? { [yAxis.key]: yv } : {}), [xAxis.key]: xv })));
+    const counted = (runs) => { status.textContent = `Running… ${runs} of ${jobs.length} runs`; };
+    const started = performance.now();
+    counted(0);
+    const promise = workerJob(simSlots.sweep, { jobs, metric: metric.key }, {
+      onProgress: (msg) => { if (msg.type === 'count') counted(msg.runs); },
+      onEnd: () => { $('sweepCancel').hidden = true; syncSweepButton(); },
+      onError: (message) => { status.textContent = `The sweep failed: ${message}`; },
+      runHere: (isCurrent) => simulateHere(jobs, isCurrent, counted, (res) => ({ value: res[metric.key], cutoff: res.endLabel !== 'ground' })),
+    });
+    $('sweepCancel').hidden = false;
+    syncSweepButton();
+    const out = await promise;
+    if (!out) return;
+    const n = xAxis.values.length;
+    const grid = rows.map((_, j) => {
+      const row = out.slice(j * n, (j + 1) * n);
+      return { values: xAxis.values, results: row.map(r => r.value), cutoff: row.map(r => r.cutoff) };
+    });
+    const cutoffs = out.filter(r => r.cutoff).length;
+    const secs = ((performance.now() - started) / 1000).toFixed(1);
+    status.textContent = `${jobs.length} runs in ${secs} s.` + (cutoffs ? ` ${cutoffs} stopped at the time limit before landing (shown in red).` : '');
+    const sweepRes = { xAxis, yAxis, metric, grid };
+    if (yAxis) drawSweepHeatmap($('chartSweep'), sweepRes);
+    else drawSweepLine($('chartSweep'), sweepRes);
+  }
+
+  // One input: result metric against the swept value, with the largest result marked
+  function drawSweepLine(canvas, { xAxis, metric, grid }){
+    const ctx = canvas.getContext('2d');
+    const { values, results, cutoff } = grid[0];
+    const w = canvas.width, h = canvas.height;
+    const pad = { l:70, r:20, t:20, b:44 };
+    const plotW = w - pad.l - pad.r, plotH = h - pad.t - pad.b;
+    const x0 = values[0], x1 = values[values.length-1];
+    let yMin = Infinity, yMax = -Infinity, iBest = 0;
+    results.forEach((v, i) => { yMin = Math.min(yMin, v); yMax = Math.max(yMax, v); if (v > results[iBest]) iBest = i; });
+    if (yMin > 0 && yMin < 0.5 * yMax) yMin = 0;
+    if (yMax - yMin < 1e-12 * Math.max(1, Math.abs(yMax))){ yMin -= 1; yMax += 1; }
+    const xOf = (v) => pad.l + ((v - x0) / ((x1 - x0) || 1)) * plotW;
+    const yOf = (v) => pad.t + (1 - (v - yMin) / (yMax - yMin)) * plotH;
+    ctx.clearRect(0,0,w,h);
+    ctx.fillStyle = '#0b1224'; ctx.fillRect(0,0,w,h);
+    ctx.strokeStyle = 'rgba(255,255,255,.08)'; ctx.lineWidth = 1; ctx.beginPath();
+    for (let i=0;i<=5;i++){ const y = pad.t + (i/5)*plotH; ctx.moveTo(pad.l, y); ctx.lineTo(w-pad.r, y); }
+    ctx.stroke();
+    ctx.strokeStyle = '#38bdf8'; ctx.lineWidth = 2; ctx.beginPath();
+    values.forEach((v, i) => { if (i===0) ctx.moveTo(xOf(v), yOf(results[i])); else ctx.lineTo(xOf(v), yOf(results[i])); });
+    ctx.stroke();
+    values.forEach((v, i) => { ctx.fillStyle = cutoff[i] ? '#ef4444' : '#38bdf8'; ctx.fillRect(xOf(v)-3, yOf(results[i])-3, 6, 6); });
+    // Largest result
+    ctx.fillStyle = '#f59e0b'; ctx.font = '12px system-ui'; ctx.textAlign = iBest > values.length / 2 ? 'right' : 'left';
+    ctx.fillRect(xOf(values[iBest])-4, yOf(results[iBest])-4, 8, 8);
+    ctx.fillText(`max ${fmt(results[iBest], metric.unit)} at ${+values[iBest].toPrecision(4)} ${xAxis.unit}`.trim(), xOf(values[iBest]) + (ctx.textAlign === 'left' ? 8 : -8), Math.max(pad.t + 12, yOf(results[iBest]) - 8));
+    ctx.fillStyle = '#9ca3af'; ctx.textAlign = 'center';
+    ctx.fillText(withUnit(xAxis), pad.l + plotW/2, h-8);
+    ctx.save(); ctx.translate(14, pad.t+plotH/2); ctx.rotate(-Math.PI/2); ctx.fillText(withUnit(metric),0,0); ctx.restore();
+    for (let i=0;i<=5;i++){ const v = x0 + (i/5)*(x1 - x0); ctx.fillText(+v.toPrecision(4), xOf(v), h-pad.b+18); }
+    ctx.textAlign = 'right';
+    for (let i=0;i<=5;i++){ const v = yMin + (i/5)*(yMax - yMin); ctx.fillText(formatEng(v), pad.l - 8, yOf(v)+4); }
+  }
+
+  // Colour scale for heat maps, dark blue (low) through green to orange (high)
+  const HEAT_STOPS = [[11,30,74], [29,78,216], [34,197,94], [250,204,21], [249,115,22]];
+  function heatColor(u){
+    const x = Math.min(1, Math.max(0, u)) * (HEAT_STOPS.length - 1);
+    const i = Math.min(HEAT_STOPS.length - 2, Math.floor(x)), f = x - i;
+    const c = HEAT_STOPS[i].map((a, k) => Math.round(a + (HEAT_STOPS[i+1][k] - a) * f));
+    return `rgb(${c.join(',')})`;
+  }
+
+  // Two inputs: a grid of cells coloured by the result metric, with a colour bar
+  function drawSweepHeatmap(canvas, { xAxis, yAxis, metric, grid }){
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width, h = canvas.height;
+    const pad = { l:70, r:110, t:20, b:44 };
+    const plotW = w - pad.l - pad.r, plotH = h - pad.t - pad.b;
+    const nx = xAxis.values.length, ny = yAxis.values.length;
+    let vMin = Infinity, vMax = -Infinity;
+    for (const row of grid) for (const v of row.results){ vMin = Math.min(vMin, v); vMax = Math.max(vMax, v); }
+    const span = (vMax - vMin) || 1;
+    const cw = plotW / nx, ch = plotH / ny;
+    ctx.clearRect(0,0,w,h);
+    ctx.fillStyle = '#0b1224'; ctx.fillRect(0,0,w,h);
+    grid.forEach((row, j) => row.results.forEach((v, i) => {
+      ctx.fillStyle = heatColor((v - vMin) / span);
+      // Rows run bottom to top so the second input increases upwards
+      ctx.fillRect(pad.l + i*cw, pad.t + (ny - 1 - j)*ch, cw + 0.5, ch + 0.5);
+      if (row.cutoff[i]){ ctx.strokeStyle = '#ef4444'; ctx.lineWidth = 1; ctx.strokeRect(pad.l + i*cw + 1, pad.t + (ny - 1 - j)*ch + 1, cw - 2, ch - 2); }
+    }));
+    // Colour bar
+    const bx = w - pad.r + 20, bw = 16;
+    for (let k=0;k<plotH;k++){ ctx.fillStyle = heatColor(1 - k/plotH); ctx.fillRect(bx, pad.t + k, bw, 1.5); }
+    ctx.fillStyle = '#9ca3af'; ctx.font = '12px system-ui'; ctx.textAlign = 'left';
+    ctx.fillText(formatEng(vMax), bx + bw + 6, pad.t + 10);
+    ctx.fillText(formatEng(vMin), bx + bw + 6, pad.t + plotH);
+    ctx.save(); ctx.translate(w - 12, pad.t + plotH/2); ctx.rotate(Math.PI/2); ctx.textAlign = 'center'; ctx.fillText(withUnit(metric), 0, 0); ctx.restore();
+    ctx.textAlign = 'center';
+    ctx.fillText(withUnit(xAxis), pad.l + plotW/2, h-8);
+    ctx.save(); ctx.translate(14, pad.t+plotH/2); ctx.rotate(-Math.PI/2); ctx.fillText(withUnit(yAxis),0,0); ctx.restore();
+    const every = (n) => Math.max(1, Math.ceil(n / 8));
+    xAxis.values.forEach((v, i) => { if (i % every(nx) === 0 || i === nx - 1) ctx.fillText(+v.toPrecision(3), pad.l + (i + 0.5)*cw, h-pad.b+18); });
+    ctx.textAlign = 'right';
+    yAxis.values.forEach((v, j) => { if (j % every(ny) === 0 || j === ny - 1) ctx.fillText(+v.toPrecision(3), pad.l - 8, pad.t + (ny - 0.5 - j)*ch + 4); });
+  }
+
+
+  // Accuracy readout: energy-balance drift of this run, and a drag-free run against the closed-form answer
+  function showDiagnostics(params, res, resIdeal){
+    const pct = (err, exact) => exact > 0 ? ` (${(100 * Math.abs(err) / exact).toPrecision(2)} %)` : '';
+    const label = $('integrator').selectedOptions[0]?.textContent || params.integrator;
+    $('diagSteps').textContent = `${res.steps} (${label})`;
+    const resid = energyResidual(res.series);
+    $('diagEnergy').textContent = `${fmt(resid.abs, 'J')}${resid.rel ? ` (${(100 * resid.rel).toPrecision(2)} %)` : ''}`;
+    const exact = analyticNoDrag(params);
+    const dv = resIdeal.vEnd - exact.vEnd, dT = resIdeal.tEnd - exact.tEnd;
+    $('diagSpeedErr').textContent = `${dv.toExponential(2)} m/s${pct(dv, exact.vEnd)}`;
+    $('diagTimeErr').textContent = `${dT.toExponential(2)} s${pct(dT, exact.tEnd)}`;
+  }
+
+  // Show working: each calculation for the last run written out, then a table against the simulation
+  function showWorking(){
+    if (!lastRun) return;
+    const sf = +$('workSf').value, standard = $('workStandard').checked;
+    const alt = Math.max(0, parseFloat($('workAlt').value) || 0);
+    const { params, res, resIdeal } = lastRun;
+    const steps = workedSolutions(params, res, resIdeal, { alt, sf, standard });
+    const num = (x, unit) => `${formatNumber(x, { sf, standard })} ${unit}`;
+    $('workSteps').replaceChildren(...steps.map(step => {
+      const box = document.createElement('div');
+      box.className = 'work-step'; box.id = `work-${step.id}`;
+      const h = document.createElement('h3'); h.textContent = step.title;
+      const ol = document.createElement('ol');
+      for (const line of step.lines){ const li = document.createElement('li'); li.textContent = line; ol.append(li); }
+      box.append(h, ol);
+      const notes = [];
+      if (step.check && step.value != null) notes.push(`${step.check.label}: ${num(step.check.value, step.unit)}.`);
+      if (step.note) notes.push(step.note);
+      if (notes.length){ const p = document.createElement('p'); p.className = 'note'; p.textContent = notes.join(' '); box.append(p); }
+      return box;
+    }));
+    if (!params.withDrag){
+      const p = document.createElement('p'); p.className = 'note';
+      p.textContent = 'Switch on air resistance to see the air density, drag force and terminal speed worked out.';
+      $('workSteps').append(p);
+    }
+    $('workCompare').tBodies[0].replaceChildren(...steps.filter(s => s.check && s.value != null).map(s => {
+      const tr = document.createElement('tr');
+      const diff = s.value ? `${(100 * (s.check.value - s.value) / Math.abs(s.value)).toFixed(2)} %` : '—';
+      for (const text of [s.title, num(s.value, s.unit), num(s.check.value, s.unit), diff]){ const td = document.createElement('td'); td.textContent = text; tr.append(td); }
+      return tr;
+    }));
+    // Formula links only where this run has that calculation
+    for (const a of document.querySelectorAll('.work-link')) a.hidden = !$(a.hash.slice(1));
+  }
+  for (const id of ['workSf', 'workStandard', 'workAlt']) $(id).addEventListener('change', showWorking);
+
+  // Energy-accounting panel: where the initial energy has gone at the moment picked on the slider
+  let budget = null;
+  function showBudget(series, scenario, events){
+    budget = { series, scenario, events };
+    const slider = $('budgetTime');
+    slider.max = String(Math.max(0, series.t.length - 1));
+    if (+slider.value > +slider.max) slider.value = slider.max;
+    updateBudget();
+  }
+  function updateBudget(){
+    if (!budget) return;
+    const { series, scenario, events } = budget;
+    const i = +$('budgetTime').value;
+    drawChartBudget($('chartBudget'), series, i, events);
+    const E0 = series.gpe[0] + series.ke[0];
+    const W = series.ewind ? series.ewind[i] : 0;
+    const parts = [
+      ['GPE', series.gpe[i], '#38bdf8'],
+      ['KE', series.ke[i], '#22c55e'],
+      ['Thermal (drag)', series.ediss[i], '#f59e0b'],
+      ['Numerical residual', E0 + W - (series.gpe[i] + series.ke[i] + series.ediss[i]), '#ef4444'],
+    ];
+    const pct = (e) => E0 + W > 0 ? 100 * e / (E0 + W) : 0;
+    const pctText = (p) => (p === 0 || Math.abs(p) >= 0.1) ? p.toFixed(1) : p.toPrecision(2);
+    $('budgetBar').innerHTML = parts
+      .map(([name, e, c]) => `<span style="width:${Math.max(0, pct(Math.abs(e))).toFixed(2)}%; background:${c}" title="${name}"></span>`)
+      .join('');
+    const source = scenario === 'catapult' ? 'Initial EPE (+ GPE at launch)' : 'Initial GPE';
+    const windText = W !== 0 ? ` + work done by the wind: ${fmt(W, 'J')}` : '';
+    $('budgetText').innerHTML = `<strong>t = ${series.t[i].toFixed(2)} s</strong> · ${source}: ${fmt(E0, 'J')}${windText}<br>`
+      + parts.map(([name, e]) => `${name}: ${fmt(e, 'J')} (${pctText(pct(e))} %)`).join(' · ');
+  }
+  $('budgetTime').addEventListener('input', updateBudget);
+
+  // Every input that defines a run: [key used in links and saved files, form element id]
+  const FIELDS = [
+    ['m', 'mass'], ['dt', 'dt'], ['integrator', 'integrator'], ['tol', 'rkTol'], ['mode', 'mode'], ['preset', 'preset'],
+    ['drag', 'withDrag'], ['h0', 'h0'], ['gravity', 'gravityModel'],
+    ['body', 'world'], ['bodyG', 'bodyG'], ['bodyR', 'bodyR'], ['bodyM', 'bodyM'], ['bodyGamma', 'bodyGamma'],
+    ['atmos', 'atmosModel'], ['Cd', 'Cd'], ['A', 'area'], ['rho0', 'rho0'], ['H', 'scaleH'], ['cdMach', 'cdMachMode'],
+    ['posture', 'withPosture'], ['postureKey', 'postureKey'], ['postureBlend', 'postureBlend'],
+    ['wind', 'withWind'], ['windMode', 'windMode'], ['windSpeed', 'windSpeed'],
+    ['chute', 'withChute'], ['deployAlt', 'deployAlt'], ['chuteCd', 'chuteCd'], ['chuteA', 'chuteArea'], ['inflate', 'inflateTime'],
+    ['k', 'springK'], ['x', 'springX'], ['launchH', 'launchH'], ['angle', 'launchAngle'],
+  ];
+  const DEFAULTS = {
+    scenario: 'freefall', m: 118, dt: 0.05, integrator: 'semiImplicit', tol: 1e-6, mode: 'single', preset: 'custom',
+    drag: false, h0: 39045, gravity: 'simplified',
+    body: 'earth', bodyG: 9.81, bodyR: 6371, bodyM: 29, bodyGamma: 1.4,
+    atmos: 'exponential', Cd: 1.0, A: 0.8, rho0: 1.225, H: 8500, cdMach: 'constant', cdTable: DRAG_RISE,
+    posture: false, postureKey: 'time', postureBlend: 2, postureTable: [[20, 'headfirst', 0.7, 0.6], [60, 'spread', 1.2, 1.0]],
+    wind: false, windMode: 'constant', windSpeed: 10, windTable: JET_STREAM,
+    chute: true, deployAlt: 2500, chuteCd: 1.3, chuteA: 25, inflate: 3,
+    k: 2000, x: 3.0, launchH: 0, angle: 45,
+  };
+
+  // Table rows from links, saved files and lessons, with malformed rows dropped and every value a number
+  // (apart from the posture name)
+  const pairRows = (rows) => rows.filter(Array.isArray).map(row => row.map(Number)).filter(row => row.length === 2 && row.every(isFinite));
+  const postureRows = (rows) => rows.filter(row => Array.isArray(row) && row.length === 4)
+    .map(([at, name, Cd, A]) => [+at, String(name), +Cd, +A]).filter(([at, , Cd, A]) => [at, Cd, A].every(isFinite));
+
+  // Current form state as a plain object keyed like DEFAULTS
+  function readSetup(){
+    const setup = { scenario: getScenario() };
+    for (const [key, id] of FIELDS){
+      const el = $(id);
+      if (el.type === 'checkbox') setup[key] = el.checked;
+      else if (el.type === 'number' || el.type === 'range') setup[key] = parseFloat(el.value);
+      else setup[key] = el.value;
+    }
+    // Rows with a blank or a typo are left out of links and saved files
+    setup.cdTable = readCdTable().filter(row => row.every(isFinite));
+    setup.postureTable = readPostureTable().filter(f => [f.at, f.Cd, f.A].every(isFinite)).map(f => [f.at, f.name, f.Cd, f.A]);
+    setup.windTable = readWindTable().filter(row => row.every(isFinite));
+    return setup;
+  }
+
+  // Fill the form from a setup object; missing keys keep their current values
+  function applySetup(setup){
+    for (const [key, id] of FIELDS){
+      if (!(key in setup)) continue;
+      const el = $(id);
+      if (el.type === 'checkbox') el.checked = setup[key] === true || setup[key] === 'true' || setup[key] === '1';
+      else el.value = setup[key];
+    }
+    if (Array.isArray(setup.cdTable)) setCdTable(pairRows(setup.cdTable));
+    if (Array.isArray(setup.postureTable)) setPostureTable(postureRows(setup.postureTable));
+    if (Array.isArray(setup.windTable)) setWindTable(pairRows(setup.windTable));
+    if (setup.scenario === 'freefall' || setup.scenario === 'catapult') setScenarioUI(setup.scenario);
+    // Keep dependent controls in step with the values just set
+    syncWorldUI();
+    $('rkTolRow').hidden = $('integrator').value !== 'rk45';
+    $('cdTableWrap').hidden = $('cdMachMode').value !== 'custom';
+    syncWindUI();
+    $('launchAngleLabel').textContent = $('launchAngle').value;
+  }
+
+  // Permalinks: the whole setup in the query string, e.g. ?scenario=freefall&m=118&drag=1…
+  function setupToQuery(setup){
+    const q = new URLSearchParams();
+    for (const [key, value] of Object.entries(setup)){
+      if (key === 'cdTable' || key === 'postureTable' || key === 'windTable') q.set(key, value.map(row => row.join(':')).join(','));
+      else if (typeof value === 'boolean') q.set(key, value ? '1' : '0');
+      else q.set(key, String(value));
+    }
+    return q.toString();
+  }
+  function queryToSetup(query){
+    const q = new URLSearchParams(query);
+    const setup = {};
+    for (const key of Object.keys(DEFAULTS)){
+      if (!q.has(key)) continue;
+      const raw = q.get(key);
+      if (key === 'cdTable' || key === 'windTable') setup[key] = pairRows(raw.split(',').map(p => p.split(':')));
+      else if (key === 'postureTable') setup[key] = postureRows(raw.split(',').map(p => p.split(':')));
+      else if (typeof DEFAULTS[key] === 'boolean') setup[key] = raw === '1' || raw === 'true';
+      else if (typeof DEFAULTS[key] === 'number') { const v = parseFloat(raw); if (isFinite(v)) setup[key] = v; }
+      else setup[key] = raw;
+    }
+    return setup;
+  }
+  function permalink(){
+    return `${location.origin}${location.pathname}?${setupToQuery(readSetup())}`;
+  }
+  function updatePermalink(){
+    if (history.replaceState) history.replaceState(null, '', `?${setupToQuery(readSetup())}`);
+  }
+
+  // Scenario library kept in localStorage; the built-in presets cannot be overwritten or deleted
+  const LIBRARY_KEY = 'gpe-ke-felix.scenarios';
+  const BUILTIN_SCENARIOS = [
+    { name: 'Felix 2012', setup: { ...DEFAULTS, drag: true, gravity: 'real', atmos: 'isa', cdMach: 'builtin', m: 118, h0: 39045, deployAlt: 2500 } },
+    { name: 'Kittinger 1960', setup: { ...DEFAULTS, drag: true, gravity: 'real', atmos: 'isa', cdMach: 'builtin', m: 140, h0: 31300, A: 1.0, deployAlt: 5500 } },
+    { name: 'Felix jump on Mars', setup: { ...DEFAULTS, drag: true, gravity: 'real', body: 'mars', rho0: BODIES.mars.rho0, H: BODIES.mars.H, cdMach: 'builtin', m: 118, h0: 39045, deployAlt: 2500 } },
+  ];
+  function loadLibrary(){
+    try {
+      const data = JSON.parse(localStorage.getItem(LIBRARY_KEY) || '[]');
+      return Array.isArray(data) ? data.filter(s => s && typeof s.name === 'string' && s.setup) : [];
+    } catch (e){
+      return [];
+    }
+  }
+  function saveLibrary(list){
+    try { localStorage.setItem(LIBRARY_KEY, JSON.stringify(list)); return true; }
+    catch (e){ libStatus('Could not save: browser storage is unavailable or full.'); return false; }
+  }
+  function libStatus(msg){ $('libStatus').textContent = msg; }
+  function refreshLibraryList(selected){
+    const sel = $('scenarioList');
+    sel.innerHTML = '';
+    const add = (label, items) => {
+      const group = document.createElement('optgroup');
+      group.label = label;
+      for (const sc of items){
+        const opt = document.createElement('option');
+        opt.value = sc.name; opt.textContent = sc.name;
+        group.appendChild(opt);
+      }
+      if (items.length) sel.appendChild(group);
+    };
+    add('Built-in', BUILTIN_SCENARIOS);
+    add('Saved', loadLibrary());
+    if (selected) sel.value = selected;
+  }
+  function findScenario(name){
+    return BUILTIN_SCENARIOS.find(sc => sc.name === name) || loadLibrary().find(sc => sc.name === name);
+  }
+  function saveScenario(){
+    const name = $('scenarioName').value.trim();
+    if (!name){ libStatus('Type a name for this setup first.'); return; }
+    if (BUILTIN_SCENARIOS.some(sc => sc.name === name)){ libStatus(`"${name}" is built in; choose another name.`); return; }
+    const list = loadLibrary().filter(sc => sc.name !== name);
+    list.push({ name, setup: readSetup() });
+    if (saveLibrary(list)){ refreshLibraryList(name); libStatus(`Saved "${name}".`); }
+  }
+  function loadScenario(){
+    const sc = findScenario($('scenarioList').value);
+    if (!sc) return;
+    applySetup({ ...DEFAULTS, ...sc.setup });
+    $('scenarioName').value = BUILTIN_SCENARIOS.includes(sc) ? '' : sc.name;
+    libStatus(`Loaded "${sc.name}".`);
+    run();
+  }
+  function deleteScenario(){
+    const name = $('scenarioList').value;
+    if (BUILTIN_SCENARIOS.some(sc => sc.name === name)){ libStatus('Built-in scenarios cannot be deleted.'); return; }
+    if (saveLibrary(loadLibrary().filter(sc => sc.name !== name))){ refreshLibraryList(); libStatus(`Deleted "${name}".`); }
+  }
+  function downloadFile(filename, data, type){
+    const url = URL.createObjectURL(data instanceof Blob ? data : new Blob([data], { type }));
+    const a = document.createElement('a');
+    a.href = url; a.download = filename;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  function exportLibrary(){
+    const data = { app: 'gpe-ke-felix', version: 1, scenarios: loadLibrary() };
+    downloadFile('scenarios.json', JSON.stringify(data, null, 2), 'application/json');
+  }
+  function importLibrary(file){
+    const reader = new FileReader();
+    reader.onload = () => {
+      let data;
+      try { data = JSON.parse(reader.result); } catch (e){ libStatus('That file is not valid JSON.'); return; }
+      const incoming = (Array.isArray(data) ? data : data.scenarios || [])
+        .filter(sc => sc && typeof sc.name === 'string' && sc.setup && typeof sc.setup === 'object')
+        .filter(sc => !BUILTIN_SCENARIOS.some(b => b.name === sc.name));
+      if (!incoming.length){ libStatus('No scenarios found in that file.'); return; }
+      const names = new Set(incoming.map(sc => sc.name));
+      if (saveLibrary(loadLibrary().filter(sc => !names.has(sc.name)).concat(incoming))){
+        refreshLibraryList(incoming[0].name);
+        libStatus(`Imported ${incoming.length} scenario${incoming.length === 1 ? '' : 's'}.`);
+      }
+    };
+    reader.readAsText(file);
+  }
+  async function copyPermalink(){
+    const link = permalink();
+    try { await navigator.clipboard.writeText(link); libStatus('Link copied to the clipboard.'); }
+    catch (e){ libStatus(link); }
+  }
+
+  // Downloads: the run's time series with every input as metadata, and the active chart as an image
+  const SERIES_COLUMNS = ['t', 'x', 'h', 'v', 'gpe', 'ke', 'keh', 'ediss', 'ewind', 'wind', 'mach', 'a', 'cd', 'chute'];
+  const SERIES_UNITS = { t:'s', x:'m', h:'m', v:'m/s', gpe:'J', ke:'J', keh:'J', ediss:'J', ewind:'J', wind:'m/s', mach:'', a:'m/s', cd:'', chute:'' };
+  function exportRuns(){
+    const runs = [['simulation', lastRun.res]];
+    if (lastRun.resNoDrag) runs.push(['comparison (no drag)', lastRun.resNoDrag]);
+    for (const r of pinnedRuns) runs.push([`run ${r.n}`, r.res]);
+    return runs;
+  }
+  function exportCSV(){
+    if (!lastRun) return;
+    const lines = ['# GPE → KE freefall simulation export', `# exported=${new Date().toISOString()}`];
+    for (const [key, value] of Object.entries(lastRun.setup)){
+      lines.push(`# ${key}=${Array.isArray(value) ? value.map(p => p.join(':')).join(' ') : value}`);
+    }
+    for (const r of pinnedRuns) lines.push(`# run ${r.n}=${r.label}`);
+    lines.push(['run', ...SERIES_COLUMNS.map(c => SERIES_UNITS[c] ? `${c} (${SERIES_UNITS[c]})` : c)].join(','));
+    for (const [name, res] of exportRuns()){
+      const { series } = res;
+      for (let i=0;i<series.t.length;i++){
+        lines.push([name, ...SERIES_COLUMNS.map(c => series[c] ? series[c][i] : '')].join(','));
+      }
+    }
+    downloadFile('simulation.csv', lines.join('\n') + '\n', 'text/csv');
+  }
+  function exportJSON(){
+    if (!lastRun) return;
+    const data = {
+      app: 'gpe-ke-felix', exported: new Date().toISOString(), params: lastRun.setup,
+      runs: exportRuns().map(([name, res]) => {
+        const { series, ...metrics } = res;
+        const pin = pinnedRuns.find(r => res === r.res);
+        return pin ? { name, params: pin.params, metrics, series } : { name, metrics, series };
+      }),
+    };
+    downloadFile('simulation.json', JSON.stringify(data), 'application/json');
+  }
+  function exportChart(format){
+    if (!lastRun) return;
+    const which = activeChart();
+    const screen = $(CHART_CANVAS[which]);
+    const legendH = 36;
+    const w = screen.width, h = screen.height + legendH;
+    let ctx, out;
+    if (format === 'svg'){
+      ctx = out = new SvgContext(w, h);
+    } else {
+      out = document.createElement('canvas');
+      out.width = w; out.height = h;
+      ctx = out.getContext('2d');
+    }
+    // Same drawing code as on screen, then the legend in a strip underneath
+    drawChart(which, { width: screen.width, height: screen.height, getContext: () => ctx });
+    drawLegendStrip(ctx, legendItems(lastRun.mode, chartEvents(which), which, lastRun.res), screen.height, w, legendH);
+    if (format === 'svg') downloadFile(`chart-${which}.svg`, out.toString(), 'image/svg+xml');
+    else out.toBlob(blob => downloadFile(`chart-${which}.png`, blob), 'image/png');
   }
 
   function reset(){
-    $('mass').value = 118;
-    $('h0').value = 39045;
-    $('dt').value = 0.05;
-    $('withDrag').checked = false;
-    $('gravityModel').value = 'simplified';
-    $('Cd').value = 1.0;
-    $('area').value = 0.8;
-    $('rho0').value = 1.225;
-    $('scaleH').value = 8500;
-    $('mode').value = 'single';
-    $('preset').value = 'custom';
-    // default scenario to freefall and UI state
-    if (typeof setScenarioUI === 'function') setScenarioUI('freefall');
+    applySetup(DEFAULTS);
     run();
   }
 
+  // Guided lesson: each step can change the settings, lock inputs and ask a question.
+  // A prediction is made with the results hidden, then marked against a fresh run.
+  let lesson = null; // { data, at, marks }
+  // Table editors with the keys that lock them (their own, or the switch for that part of the model) and their buttons
+  const TABLE_LOCKS = [
+    ['cdTable', ['cdTable', 'cdMach', 'drag'], ['cdAddRow', 'cdLoadBuiltin']],
+    ['postureTable', ['postureTable', 'posture', 'drag'], ['postureAddRow']],
+    ['windTable', ['windTable', 'wind', 'drag'], ['windAddRow', 'windLoadJet']],
+  ];
+  // Picking a posture preset or a world fills in other inputs, so it is locked along with them
+  const FILLS = { preset: ['Cd', 'A'], body: ['rho0', 'H', 'atmos'] };
+  function lockSetup(keys){
+    lockedKeys = keys;
+    for (const [key, id] of FIELDS) $(id).disabled = isLocked(key, ...(FILLS[key] || []));
+    $('btnFreefall').disabled = $('btnCatapult').disabled = keys.includes('scenario');
+    for (const [table, locks, buttons] of TABLE_LOCKS){
+      const off = isLocked(...locks);
+      for (const el of $(table).tBodies[0].querySelectorAll('input, select, button')) el.disabled = off;
+      for (const id of buttons) $(id).disabled = off;
+    }
+    // Resetting or loading a saved scenario would get round the locks
+    for (const id of ['resetBtn', 'libLoad']) $(id).disabled = keys.length > 0;
+    // Sweeps may only vary unlocked inputs, and a drag fit may only be applied if it changes nothing locked
+    refreshSweepOptions(getScenario());
+    $('fitApply').disabled = !lastFit || isLocked(...FIT_KEYS);
+  }
+  // Settings and locks in force at step i: the lesson's, updated by every step up to i
+  function lessonStateAt(i){
+    let setup = { ...DEFAULTS, ...lesson.data.setup }, lock = lesson.data.lock;
+    for (const step of lesson.data.steps.slice(0, i + 1)){
+      if (step.setup) setup = { ...setup, ...step.setup };
+      if (step.lock) lock = step.lock;
+    }
+    return { setup, lock };
+  }
+  function startLesson(data){
+    lesson = { data, at: 0, marks: [] };
+    $('lessonStart').hidden = true; $('lessonSummary').hidden = true; $('lessonRunner').hidden = false;
+    $('lessonTitle').textContent = data.title;
+    showLessonStep(0);
+  }
+  function showLessonStep(i){
+    const step = lesson.data.steps[i];
+    lesson.at = i;
+    const { setup, lock } = lessonStateAt(i);
+    // Keep the student's own changes unless the step sets something
+    if (i === 0 || step.setup) applySetup(setup);
+    lockSetup(lock);
+    const pending = step.type === 'predict' && !lesson.marks[i];
+    document.body.classList.toggle('lesson-predicting', pending);
+    $('runBtn').disabled = pending;
+    if (!pending) run();
+    renderLessonStep();
+  }
+  function renderLessonStep(){
+    const { data, at, marks } = lesson;
+    const step = data.steps[at], mark = marks[at];
+    $('lessonStepNo').textContent = `Step ${at + 1} of ${data.steps.length}`;
+    $('lessonPrompt').textContent = step.prompt;
+    $('lessonHint').textContent = [at === 0 ? data.intro : '', step.hint ? `Hint: ${step.hint}` : ''].filter(Boolean).join(' ');
+    $('lessonGuessRow').hidden = step.type !== 'predict';
+    if (step.type === 'predict'){
+      const { unit } = PREDICTION_METRICS[step.metric];
+      $('lessonUnit').textContent = unit ? `(${unit})` : '';
+      $('lessonGuess').value = mark ? mark.guess : '';
+      $('lessonGuess').disabled = !!mark;
+    }
+    const box = $('lessonChoices');
+    box.hidden = step.type !== 'choice';
+    box.innerHTML = '';
+    if (step.type === 'choice'){
+      box.setAttribute('aria-label', step.prompt);
+      step.choices.forEach((text, k) => {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'radio'; input.name = 'lessonChoice'; input.value = String(k);
+        input.checked = mark ? mark.guess === k : false; input.disabled = !!mark;
+        label.append(input, text);
+        box.appendChild(label);
+      });
+    }
+    const fb = $('lessonFeedback');
+    fb.textContent = mark ? `${lessonFeedback(step, mark)}${step.explain ? ` ${step.explain}` : ''}` : '';
+    fb.className = `lesson-feedback${mark ? (mark.correct ? ' correct' : ' wrong') : ''}`;
+    $('lessonCheck').hidden = step.type === 'info' || !!mark;
+    $('lessonBack').disabled = at === 0;
+    $('lessonNext').textContent = at === data.steps.length - 1 ? 'See my results' : 'Next';
+  }
+  function lessonFeedback(step, mark){
+    if (step.type === 'predict'){
+      const { unit } = PREDICTION_METRICS[step.metric];
+      const within = step.tolAbs != null ? `±${fmt(step.tolAbs, unit)}` : `${+(100 * step.tol).toFixed(1)} %`;
+      return `${mark.correct ? '✓ Correct' : '✗ Not quite'}: the simulation gives ${fmt(mark.actual, unit)} and you predicted ${fmt(mark.guess, unit)} (within ${within} counts as correct).`;
+    }
+    return mark.correct ? '✓ Correct.' : `✗ Not quite: the answer is "${step.choices[step.answer]}".`;
+  }
+  async function checkLessonAnswer(){
+    const step = lesson.data.steps[lesson.at];
+    if (lesson.marks[lesson.at]) return;
+    if (step.type === 'predict'){
+      const guess = parseFloat($('lessonGuess').value);
+      if (!isFinite(guess)){ $('lessonFeedback').textContent = 'Type your prediction as a number first.'; return; }
+      const current = lesson, at = lesson.at;
+      if (!(await run()) || lesson !== current || lesson.at !== at) return;
+      lesson.marks[lesson.at] = markPrediction(step, guess, lastRun.res[step.metric]);
+      document.body.classList.remove('lesson-predicting');
+      $('runBtn').disabled = false;
+    } else if (step.type === 'choice'){
+      const picked = $('lessonChoices').querySelector('input:checked');
+      if (!picked){ $('lessonFeedback').textContent = 'Pick one of the answers first.'; return; }
+      lesson.marks[lesson.at] = markChoice(step, +picked.value);
+    }
+    renderLessonStep();
+  }
+  function lessonText(){
+    return lessonReport(lesson.data, lesson.marks, { student: $('lessonStudent').value.trim() });
+  }
+  function showLessonSummary(){
+    const { score, total, answered } = lessonScore(lesson.data, lesson.marks);
+    document.body.classList.remove('lesson-predicting');
+    $('runBtn').disabled = false;
+    $('lessonRunner').hidden = true; $('lessonSummary').hidden = false;
+    $('lessonScore').textContent = `You scored ${score} out of ${total}${answered < total ? ` (${total - answered} not answered)` : ''}.`;
+    $('lessonReport').textContent = lessonText();
+  }
+  function exitLesson(){
+    lesson = null;
+    lockSetup([]);
+    document.body.classList.remove('lesson-predicting');
+    $('runBtn').disabled = false;
+    $('lessonRunner').hidden = true; $('lessonSummary').hidden = true; $('lessonStart').hidden = false;
+  }
+  function importLesson(file){
+    const reader = new FileReader();
+    reader.onload = () => {
+      let data;
+      try { data = parseLesson(String(reader.result)); }
+      catch (err){ $('lessonStatus').textContent = `Could not read ${file.name}: ${err.message}`; return; }
+      $('lessonStatus').textContent = '';
+      startLesson(data);
+    };
+    reader.readAsText(file);
+  }
+  $('lessonBuiltin').addEventListener('click', () => startLesson(parseLesson(BUILTIN_LESSON)));
+  $('lessonImport').addEventListener('click', () => $('lessonFile').click());
+  $('lessonFile').addEventListener('change', () => { if ($('lessonFile').files[0]) importLesson($('lessonFile').files[0]); $('lessonFile').value = ''; });
+  $('lessonCheck').addEventListener('click', checkLessonAnswer);
+  $('lessonGuess').addEventListener('keydown', (ev) => { if (ev.key === 'Enter') checkLessonAnswer(); });
+  $('lessonBack').addEventListener('click', () => showLessonStep(lesson.at - 1));
+  $('lessonNext').addEventListener('click', () => {
+    if (lesson.at < lesson.data.steps.length - 1) showLessonStep(lesson.at + 1);
+    else showLessonSummary();
+  });
+  $('lessonExit').addEventListener('click', exitLesson);
+  $('lessonDone').addEventListener('click', exitLesson);
+  $('lessonStudent').addEventListener('input', () => { $('lessonReport').textContent = lessonText(); });
+  $('lessonSave').addEventListener('click', () => downloadFile('lesson-results.txt', lessonText() + '\n', 'text/plain'));
+  $('lessonPrint').addEventListener('click', () => {
+    document.body.classList.add('lesson-printing');
+    window.print();
+    document.body.classList.remove('lesson-printing');
+  });
+
   // Wire up
-  $('runBtn').addEventListener('click', run);
+  $('runBtn').addEventListener('click', () => run());
+  $('cancelRun').addEventListener('click', () => cancelRun(true));
   $('resetBtn').addEventListener('click', reset);
   // Scenario buttons
   const btnFreefall = document.getElementById('btnFreefall');
@@ -399,6 +1972,13 @@
     }
     const panel = document.getElementById('catapultPanel'); if (panel) panel.hidden = (s!=='catapult');
     const h0Row = document.getElementById('h0Row'); if (h0Row) h0Row.classList.toggle('hidden', s==='catapult');
+    const chutePanel = document.getElementById('chutePanel'); if (chutePanel) chutePanel.hidden = (s==='catapult');
+    $('windPanel').hidden = s === 'catapult';
+    // Range vs angle only means something for the catapult
+    const angleTab = document.querySelector('.tab[data-chart="angle"]');
+    angleTab.hidden = s !== 'catapult';
+    if (angleTab.hidden && angleTab.classList.contains('active')) document.querySelector('.tab[data-chart="energy"]').click();
+    refreshSweepOptions(s);
   }
   if (btnFreefall) btnFreefall.addEventListener('click', ()=>{ setScenarioUI('freefall'); run(); });
   if (btnCatapult) btnCatapult.addEventListener('click', ()=>{ setScenarioUI('catapult'); run(); });
@@ -411,10 +1991,154 @@
   }
   // Presets
   $('preset').addEventListener('change', () => {
-    const p = $('preset').value;
-    if (p === 'tucked'){ $('Cd').value = 0.9; $('area').value = 0.7; }
-    else if (p === 'spread'){ $('Cd').value = 1.2; $('area').value = 1.0; }
-    else if (p === 'headfirst'){ $('Cd').value = 0.7; $('area').value = 0.6; }
+    const p = POSTURES[$('preset').value];
+    if (p){ $('Cd').value = p.Cd; $('area').value = p.A; }
+  });
+  $('integrator').addEventListener('change', () => { $('rkTolRow').hidden = $('integrator').value !== 'rk45'; });
+  // Worlds: the simplified g and the layered atmosphere follow the selected one
+  function syncWorldUI(){
+    const body = bodyFromUI();
+    $('customWorldRow').hidden = $('world').value !== 'custom';
+    $('gravityModel').options[0].textContent = `Simplified (g = ${+body.gSimple.toPrecision(3)} N/kg)`;
+    const isa = $('atmosModel').querySelector('option[value="isa"]');
+    isa.disabled = !body.isa;
+    if (isa.disabled && $('atmosModel').value === 'isa') $('atmosModel').value = 'exponential';
+  }
+  $('world').addEventListener('change', () => {
+    const preset = BODIES[$('world').value];
+    if (preset){ $('rho0').value = preset.rho0; $('scaleH').value = preset.H; }
+    syncWorldUI();
+  });
+  $('bodyG').addEventListener('input', syncWorldUI);
+  // Table editor rows are built from elements, never from HTML, since their values can come from imported files
+  function numberInput(value, label, { min, step }){
+    const input = document.createElement('input');
+    input.type = 'number';
+    if (min !== undefined) input.min = min;
+    input.step = step;
+    input.value = value;
+    input.setAttribute('aria-label', label);
+    return input;
+  }
+  function removeButton(label){
+    const btn = document.createElement('button');
+    btn.type = 'button'; btn.className = 'secondary'; btn.textContent = '✕';
+    btn.setAttribute('aria-label', label);
+    btn.addEventListener('click', () => btn.closest('tr').remove());
+    return btn;
+  }
+  function tableRow(cells){
+    const tr = document.createElement('tr');
+    for (const cell of cells){ const td = document.createElement('td'); td.append(cell); tr.append(td); }
+    return tr;
+  }
+  // Wind table editor: rows of [altitude, wind speed]
+  function addWindRow(alt, u){
+    const tr = tableRow([
+      numberInput(alt, 'Altitude', { min: 0, step: 100 }),
+      numberInput(u, 'Wind speed', { step: 1 }),
+      removeButton('Remove point'),
+    ]);
+    $('windTable').tBodies[0].appendChild(tr);
+  }
+  function setWindTable(points){
+    $('windTable').tBodies[0].innerHTML = '';
+    for (const [h, u] of points) addWindRow(h, u);
+  }
+  // Rows in table order, blanks and all, so checkParams can say which row to fix
+  function readWindTable(){
+    return Array.from($('windTable').tBodies[0].rows)
+      .map(tr => Array.from(tr.querySelectorAll('input')).map(inp => parseFloat(inp.value)));
+  }
+  function syncWindUI(){
+    $('windSpeedRow').hidden = $('windMode').value !== 'constant';
+    $('windTableWrap').hidden = $('windMode').value !== 'custom';
+  }
+  setWindTable(JET_STREAM);
+  $('windMode').addEventListener('change', syncWindUI);
+  $('windAddRow').addEventListener('click', () => {
+    const last = readWindTable().findLast(row => row.every(isFinite)) || [0, 0];
+    addWindRow(last[0] + 5000, last[1]);
+  });
+  $('windLoadJet').addEventListener('click', () => setWindTable(JET_STREAM));
+  // Cd(Mach) table editor: rows of [Mach, Cd multiplier]
+  function addCdRow(mach, factor){
+    const tr = tableRow([
+      numberInput(mach, 'Mach number', { min: 0, step: 0.05 }),
+      numberInput(factor, 'Cd multiplier', { min: 0, step: 0.05 }),
+      removeButton('Remove point'),
+    ]);
+    $('cdTable').tBodies[0].appendChild(tr);
+  }
+  function setCdTable(points){
+    $('cdTable').tBodies[0].innerHTML = '';
+    for (const [M, f] of points) addCdRow(M, f);
+  }
+  function readCdTable(){
+    return Array.from($('cdTable').tBodies[0].rows)
+      .map(tr => Array.from(tr.querySelectorAll('input')).map(inp => parseFloat(inp.value)));
+  }
+  function cdMachCurveFromUI(){
+    const mode = $('cdMachMode').value;
+    if (mode === 'builtin') return DRAG_RISE;
+    if (mode === 'custom'){ const pts = readCdTable(); return pts.length ? pts : null; }
+    return null;
+  }
+  setCdTable(DRAG_RISE);
+  $('cdMachMode').addEventListener('change', () => {
+    $('cdTableWrap').hidden = $('cdMachMode').value !== 'custom';
+  });
+  $('cdAddRow').addEventListener('click', () => {
+    const last = readCdTable().findLast(row => row.every(isFinite)) || [0, 1];
+    addCdRow(+(last[0] + 0.5).toFixed(2), last[1]);
+  });
+  $('cdLoadBuiltin').addEventListener('click', () => setCdTable(DRAG_RISE));
+  // Posture schedule editor: rows of [at, position name, Cd, A]; picking a position fills in its Cd and A
+  function addPostureRow(at, name, Cd, A){
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', 'Body position');
+    for (const [key, label] of [...Object.entries(POSTURES).map(([key, p]) => [key, p.label]), ['custom', 'Custom']]){
+      const opt = document.createElement('option');
+      opt.value = key; opt.textContent = label;
+      select.append(opt);
+    }
+    const tr = tableRow([
+      numberInput(at, 'Keyframe time or altitude', { min: 0, step: 'any' }),
+      select,
+      numberInput(Cd, 'Drag coefficient', { min: 0, step: 0.05 }),
+      numberInput(A, 'Area', { min: 0, step: 0.05 }),
+      removeButton('Remove keyframe'),
+    ]);
+    select.value = Object.hasOwn(POSTURES, name) ? name : 'custom';
+    const [, cdInput, aInput] = tr.querySelectorAll('input');
+    select.addEventListener('change', () => {
+      const p = POSTURES[select.value];
+      if (p){ cdInput.value = p.Cd; aInput.value = p.A; }
+    });
+    // Editing the numbers by hand makes it a custom position
+    for (const inp of [cdInput, aInput]) inp.addEventListener('input', () => { select.value = 'custom'; });
+    $('postureTable').tBodies[0].appendChild(tr);
+  }
+  function setPostureTable(rows){
+    $('postureTable').tBodies[0].innerHTML = '';
+    for (const [at, name, Cd, A] of rows) addPostureRow(at, name, Cd, A);
+  }
+  function readPostureTable(){
+    return Array.from($('postureTable').tBodies[0].rows).map(tr => {
+      const [at, Cd, A] = Array.from(tr.querySelectorAll('input')).map(inp => parseFloat(inp.value));
+      return { at, name: tr.querySelector('select').value, Cd, A };
+    });
+  }
+  function postureFromUI(){
+    const frames = readPostureTable();
+    if (!$('withPosture').checked || !frames.length) return null;
+    return { key: $('postureKey').value, blend: parseFloat($('postureBlend').value), frames };
+  }
+  setPostureTable(DEFAULTS.postureTable);
+  $('postureAddRow').addEventListener('click', () => {
+    const last = readPostureTable().findLast(f => isFinite(f.at));
+    const step = $('postureKey').value === 'altitude' ? -1000 : 10;
+    addPostureRow(last ? Math.max(0, last.at + step) : 10, 'tucked', POSTURES.tucked.Cd, POSTURES.tucked.A);
   });
   // Tabs
   document.querySelectorAll('.tab').forEach(btn => {
@@ -422,14 +2146,55 @@
       document.querySelectorAll('.tab').forEach(b=>b.classList.remove('active'));
       btn.classList.add('active');
       const which = btn.dataset.chart;
-      $('chartEnergy').hidden = which !== 'energy';
-      $('chartVelocity').hidden = which !== 'velocity';
-      $('chartAltitude').hidden = which !== 'altitude';
-      run(); // rerender selected chart
+      for (const [key, id] of Object.entries(CHART_CANVAS)) $(id).hidden = which !== key;
+      $('chartTooltip').hidden = true;
+      // Coming back to a range-vs-angle scan that was cancelled starts it again
+      if (which === 'angle' && lastRun && lastRun.angleSweep && lastRun.angleSweep.stopped) lastRun.angleSweep = null;
+      // Redraw with the shared zoom window and time cursor kept as they were
+      if (lastRun){ drawChart(which); updateLegend(lastRun.mode, chartEvents(which), which, lastRun.res); }
     });
   });
+  // Interactive time charts
+  for (const which of Object.keys(CHART_CANVAS)) if (isTimeChart(which)) wireChart($(CHART_CANVAS[which]));
+  $('zoomReset').addEventListener('click', () => setZoom(null));
+  $('angleCancel').addEventListener('click', () => cancelJob(simSlots.angle));
+  // Run history
+  $('pinRun').addEventListener('click', pinRun);
+  $('clearPins').addEventListener('click', clearPins);
+  // Flight data
+  $('telemetryImport').addEventListener('click', () => $('telemetryFile').click());
+  $('telemetryFile').addEventListener('change', () => { if ($('telemetryFile').files[0]) importTelemetry($('telemetryFile').files[0]); $('telemetryFile').value = ''; });
+  $('showTelemetry').addEventListener('change', refreshPinned);
+  $('clearTelemetry').addEventListener('click', clearTelemetry);
+  $('fitDrag').addEventListener('click', runFit);
+  $('fitApply').addEventListener('click', applyFit);
+  $('fitCancel').addEventListener('click', () => { if (cancelJob(simSlots.fit)) $('fitResult').textContent = 'Fit cancelled.'; });
+  // Parameter sweep
+  refreshSweepOptions(getScenario());
+  $('sweepParam2').value = 'A';
+  sweepDefaults(''); sweepDefaults('2');
+  $('sweepParam').addEventListener('change', () => sweepDefaults(''));
+  $('sweepParam2').addEventListener('change', () => sweepDefaults('2'));
+  $('sweep2d').addEventListener('change', () => { $('sweep2Row').hidden = !$('sweep2d').checked; });
+  $('sweepRun').addEventListener('click', runSweep);
+  $('sweepCancel').addEventListener('click', () => { if (cancelJob(simSlots.sweep)) $('sweepStatus').textContent = 'Sweep cancelled.'; });
+  // Scenario library and sharing
+  $('libSave').addEventListener('click', saveScenario);
+  $('libLoad').addEventListener('click', loadScenario);
+  $('libDelete').addEventListener('click', deleteScenario);
+  $('libExport').addEventListener('click', exportLibrary);
+  $('libImport').addEventListener('click', () => $('libFile').click());
+  $('libFile').addEventListener('change', () => { if ($('libFile').files[0]) importLibrary($('libFile').files[0]); $('libFile').value = ''; });
+  $('copyLink').addEventListener('click', copyPermalink);
+  // Data and chart export
+  $('exportCsv').addEventListener('click', exportCSV);
+  $('exportJson').addEventListener('click', exportJSON);
+  $('exportPng').addEventListener('click', () => exportChart('png'));
+  $('exportSvg').addEventListener('click', () => exportChart('svg'));
+  refreshLibraryList();
   updateLegend('single');
-  // First run
+  // First run, restoring any setup passed in the link
+  if (location.search) applySetup(queryToSetup(location.search));
   run();
 
   // Catapult launch button triggers run()
@@ -450,32 +2215,50 @@
     const velLine = document.getElementById('velLine');
     const velText = document.getElementById('velText');
     const spring = document.getElementById('spring');
+    const canopy = document.getElementById('canopy');
+    const body = document.getElementById('body');
+    const postureText = document.getElementById('postureText');
     const traj = document.getElementById('trajPath');
+    const windText = document.getElementById('windText');
     if (!g || !svg || !series) return;
-    const hs = series.h; const ts = series.t; const vs = series.v; const xs = series.x || [];
+    const hs = series.h; const ts = series.t; const vs = series.v; const xs = series.x || []; const chutes = series.chute || [];
+    const postures = series.posture || [];
+    const frames = lastRun?.params.posture ? sortPosture(lastRun.params.posture).frames : [];
     if (!hs.length) return;
     const h0 = hs[0];
-    const hMax = Math.max(...hs, 1);
+    let hMax = 1, xMax = 1;
+    for (let i=0;i<hs.length;i++){ hMax = Math.max(hMax, hs[i]); xMax = Math.max(xMax, xs[i] ?? 0); }
     const yTop = 20; // initial astronaut y in SVG coords
     const yGround = 250; // near ground line
-    // Playback over ~6 seconds regardless of full sim duration
-    const playback = 6000;
     const tTotal = ts[ts.length-1] || 1;
-    const tStart = performance.now();
     const isCatapult = (document.getElementById('btnCatapult')?.classList.contains('active'));
-    // Build/clear trajectory path for catapult
+    // Freefall drift in a wind: the largest offset either way maps to 150 px from the centre line
+    let xDrift = 0;
+    for (const x of xs) xDrift = Math.max(xDrift, Math.abs(x));
+    const driftScale = !isCatapult && xDrift > 0 ? 150 / xDrift : 0;
+    const winds = series.wind || [];
+    // Build/clear trajectory path for catapult, or the drift path of a windy freefall,
+    // from a few hundred samples that keep the path's turning points
+    const pathIdx = xs.length === hs.length ? minMaxIndices(ts, [xs, hs], 0, ts.length - 1, 400) : [];
     if (traj){
-      if (isCatapult && xs.length === hs.length){
-        const xMax = Math.max(1, ...xs);
-        const yMax = Math.max(1, ...hs);
+      if (driftScale > 0 && h0 > 0){
+        let d = '';
+        for (const i of pathIdx){
+          const px = 200 + xs[i] * driftScale;
+          const py = yTop + (yGround - yTop) * (1 - hs[i]/h0);
+          d += (d===''?`M${px.toFixed(1)},${py.toFixed(1)}`:` L${px.toFixed(1)},${py.toFixed(1)}`);
+        }
+        traj.setAttribute('d', d);
+        traj.setAttribute('opacity', '0.6');
+      } else if (isCatapult && xs.length === hs.length){
         // Map sim x to ~120px span, y to 0..(yGround-yTop)
         const xScale = 120 / xMax;
-        const yScale = (yGround - yTop) / yMax;
+        const yScale = (yGround - yTop) / hMax;
         let d = '';
-        for (let i=0;i<xs.length;i++){
+        for (const i of pathIdx){
           const px = 200 + xs[i] * xScale; // origin near astronaut start
           const py = yGround - hs[i]*yScale;
-          d += (i===0?`M${px.toFixed(1)},${py.toFixed(1)}`:` L${px.toFixed(1)},${py.toFixed(1)}`);
+          d += (d===''?`M${px.toFixed(1)},${py.toFixed(1)}`:` L${px.toFixed(1)},${py.toFixed(1)}`);
         }
         traj.setAttribute('d', d);
         traj.setAttribute('opacity', '0.6');
@@ -484,13 +2267,12 @@
         traj.setAttribute('opacity', '0');
       }
     }
-    function step(now){
-      const u = Math.min(1, (now - tStart)/playback);
-      const simT = u * tTotal;
-      // find nearest index
-      let i = 0; while (i < ts.length-1 && ts[i+1] < simT) i++;
-      // Normalize altitude mapping; if h0 is 0 (catapult), use max altitude reached
-      const denom = (h0 > 0 ? h0 : hMax);
+    // Pose the scene at simulation time simT
+    function showFrame(simT){
+      const u = simT / tTotal;
+      const i = indexAt(ts, simT);
+      // Normalize altitude mapping; the catapult (which may climb above its launch height) uses the apex
+      const denom = (isCatapult || !(h0 > 0) ? hMax : h0);
       const y = yTop + (yGround - yTop) * (1 - (hs[i]/denom));
       // slight horizontal drift for catapult and tilt at start
       let x = 200;
@@ -500,6 +2282,12 @@
         x = 200 + 40 * early; // small rightward motion
         const chosen = parseFloat(document.getElementById('launchAngle')?.value || '45');
         rot = chosen * (1 - early); // start at chosen angle, level out to 0° within 1s
+      } else if (driftScale > 0){
+        x = 200 + xs[i] * driftScale;
+      }
+      if (windText){
+        const u = winds[i] || 0;
+        windText.textContent = u ? `Wind ${Math.abs(u).toFixed(0)} m/s ${u > 0 ? '→' : '←'}` : '';
       }
       g.setAttribute('transform', `translate(${x.toFixed(1)},${y.toFixed(1)}) rotate(${rot.toFixed(1)})`);
       // Update velocity arrow: map speed (m/s) to pixels
@@ -521,10 +2309,121 @@
           spring.style.opacity = '0';
         }
       }
-      if (u < 1) requestAnimationFrame(step);
+      // Body position from the posture schedule
+      if (body && postureText){
+        const frame = frames[postures[i]];
+        body.setAttribute('transform', frame ? POSTURES[frame.name]?.pose || '' : '');
+        postureText.textContent = frame ? postureLabel(frame.name) : '';
+      }
+      // Canopy grows from a packed bundle to full size as it inflates
+      if (canopy){
+        const f = chutes[i] || 0;
+        canopy.style.opacity = f > 0 ? '1' : '0';
+        canopy.setAttribute('transform', `translate(0,-26) scale(${(0.3 + 0.7*f).toFixed(2)},${Math.max(0.05, f).toFixed(2)})`);
+      }
     }
-    requestAnimationFrame(step);
+    // Largest speed and KE, the top of the sonification's pitch range
+    const peak = { v: 0, ke: 0 };
+    for (let i=0;i<vs.length;i++){ peak.v = Math.max(peak.v, vs[i]); peak.ke = Math.max(peak.ke, series.ke[i]); }
+    anim = { series, showFrame, tTotal, peak, simT: 0, playing: false, raf: anim ? anim.raf : null, last: null };
+    restartAnimation();
+  }
+
+  // Simulated seconds per real second for the chosen playback speed
+  function playbackRate(){
+    const v = $('animSpeed').value;
+    return v === 'fit' ? anim.tTotal / 6 : v === 'real' ? 1 : +v;
+  }
+
+  // The single playback loop: advances anim.simT while playing and stops itself when paused
+  function tick(now){
+    anim.raf = null;
+    if (!anim.playing) return;
+    if (anim.last != null) anim.simT = Math.min(anim.tTotal, anim.simT + (now - anim.last) / 1000 * playbackRate());
+    anim.last = now;
+    if (anim.simT >= anim.tTotal) anim.playing = false;
+    showAnimationFrame();
+    if (anim.playing) anim.raf = requestAnimationFrame(tick);
+  }
+
+  // Pose the scene, chart cursor, scrubber and live readouts at anim.simT
+  function showAnimationFrame(){
+    const { series, simT, tTotal } = anim;
+    anim.showFrame(simT);
+    setCursor(simT);
+    const i = indexAt(series.t, simT);
+    $('animT').textContent = fmt(simT, 's');
+    $('animH').textContent = fmt(series.h[i], 'm');
+    $('animV').textContent = fmt(series.v[i], 'm/s');
+    $('animGpe').textContent = fmt(series.gpe[i], 'J');
+    $('animKe').textContent = fmt(series.ke[i], 'J');
+    $('animDiss').textContent = fmt(series.ediss[i], 'J');
+    $('animScrub').value = String(Math.round(1000 * simT / tTotal));
+    $('animScrub').setAttribute('aria-valuetext', `${fmt(simT, 's')}: altitude ${fmt(series.h[i], 'm')}, speed ${fmt(series.v[i], 'm/s')}`);
+    updateSound(i);
+    const label = anim.playing ? 'Pause' : 'Play';
+    $('animPlay').textContent = label; $('animPlay').setAttribute('aria-label', label);
+  }
+
+  function playAnimation(){
+    if (!anim) return;
+    if (anim.simT >= anim.tTotal) anim.simT = 0;
+    anim.playing = true; anim.last = null;
+    if (!anim.raf) anim.raf = requestAnimationFrame(tick);
+    showAnimationFrame();
   }
 
+  function pauseAnimation(){
+    if (!anim) return;
+    anim.playing = false;
+    showAnimationFrame();
+  }
+
+  function restartAnimation(){
+    if (!anim) return;
+    anim.simT = 0;
+    playAnimation();
+  }
+
+  // Pause and hold the scene at time t (from the scrubber or a click on a chart)
+  function seekAnimation(t){
+    if (!anim){ setCursor(t); return; }
+    anim.playing = false;
+    anim.simT = Math.min(anim.tTotal, Math.max(0, t));
+    showAnimationFrame();
+  }
+
+  // Optional sonification: while the animation plays, a tone's pitch follows the speed or KE.
+  // The audio graph is made on first use, from the click that switches it on.
+  if (!AudioCtx){ $('sonify').disabled = true; $('sonify').title = 'This browser has no Web Audio support.'; }
+  function updateSound(i){
+    if (!sound) return;
+    const on = $('sonify').checked && anim && anim.playing;
+    const now = sound.ctx.currentTime;
+    sound.gain.gain.setTargetAtTime(on ? 0.08 : 0, now, 0.03);
+    if (!on) return;
+    const key = $('sonifyKey').value;
+    sound.osc.frequency.setTargetAtTime(pitchFor(anim.series[key][i], anim.peak[key]), now, 0.03);
+  }
+  $('sonify').addEventListener('change', () => {
+    if ($('sonify').checked && !sound && AudioCtx){
+      const ctx = new AudioCtx();
+      const osc = ctx.createOscillator(), gain = ctx.createGain();
+      gain.gain.value = 0;
+      osc.type = 'sine';
+      osc.connect(gain).connect(ctx.destination);
+      osc.start();
+      sound = { ctx, osc, gain };
+    }
+    if (sound) sound.ctx.resume();
+    if (anim) updateSound(indexAt(anim.series.t, anim.simT));
+  });
+
+  $('animPlay').addEventListener('click', () => anim?.playing ? pauseAnimation() : playAnimation());
+  $('animRestart').addEventListener('click', restartAnimation);
+  $('animScrub').addEventListener('input', () => { if (anim) seekAnimation(+$('animScrub').value / 1000 * anim.tTotal); });
+  // Continue from the same moment at the new speed
+  $('animSpeed').addEventListener('change', () => { if (anim) anim.last = null; });
+
   // (animation is triggered inside run())
 })();
@@ -0,0 +1,32 @@
+// Runs simulations off the page's main thread so long runs and batches keep the page responsive and can be cancelled.
+// Messages in:
+//   { id, jobs: SimParams[] }            simulate() each one; results are SimResult[]
+//   { id, jobs: SimParams[], metric }    the same for sweeps; results are [{ value: SimResult[metric], cutoff }]
+//   { id, fit: { base, data, opts } }    fitDrag() to recorded data; results are its fit
+// Messages out: { id, type: 'progress', job, t, h, steps, tLimit } during a long run, { id, type: 'count', runs }
+// after each finished run, then { id, type: 'done', results } or { id, type: 'error', message }.
+
+import { simulate } from './engine.mjs';
+import { fitDrag } from './telemetry.mjs';
+
+self.onmessage = (e) => {
+  const { id, jobs, metric, fit } = e.data;
+  const counted = (runs) => self.postMessage({ id, type: 'count', runs });
+  try {
+    let results;
+    if (fit) results = fitDrag(fit.base, fit.data, { ...fit.opts, onEval: counted });
+    else {
+      results = jobs.map((params, job) => {
+        const res = simulate(params, {
+          onProgress: (p) => self.postMessage({ id, type: 'progress', job, ...p }),
+        });
+        counted(job + 1);
+        // A sweep only needs one number per run, not every sample
+        return metric ? { value: res[metric], cutoff: res.endLabel !== 'ground' } : res;
+      });
+    }
+    self.postMessage({ id, type: 'done', results });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};
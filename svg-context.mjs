@@ -0,0 +1,87 @@
+// Minimal stand-in for CanvasRenderingContext2D that records drawing as SVG elements.
+// Covers the subset the chart functions in script.js use, so the same code can
+// draw to the screen or to a vector file.
+
+const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const num = (x) => +(+x).toFixed(2);
+const ANCHOR = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+
+export class SvgContext {
+  constructor(width, height){
+    this.width = width;
+    this.height = height;
+    this.fillStyle = '#000';
+    this.strokeStyle = '#000';
+    this.lineWidth = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.globalAlpha = 1;
+    this._dash = [];
+    this._transform = '';
+    this._stack = [];
+    this._path = '';
+    this._out = [];
+    this._defs = [];
+    this._clip = null;
+  }
+
+  save(){
+    const { fillStyle, strokeStyle, lineWidth, font, textAlign, globalAlpha, _dash, _transform, _clip } = this;
+    this._stack.push({ fillStyle, strokeStyle, lineWidth, font, textAlign, globalAlpha, _dash, _transform, _clip });
+  }
+  restore(){
+    const state = this._stack.pop();
+    if (state) Object.assign(this, state);
+  }
+  translate(x, y){ this._transform += ` translate(${num(x)},${num(y)})`; }
+  rotate(rad){ this._transform += ` rotate(${num(rad * 180 / Math.PI)})`; }
+
+  setLineDash(segments){ this._dash = segments.slice(); }
+  getLineDash(){ return this._dash.slice(); }
+  measureText(text){ return { width: String(text).length * (parseFloat(this.font) || 10) * 0.55 }; }
+
+  beginPath(){ this._path = ''; }
+  moveTo(x, y){ this._path += `M${num(x)},${num(y)}`; }
+  lineTo(x, y){ this._path += `L${num(x)},${num(y)}`; }
+  closePath(){ this._path += 'Z'; }
+  rect(x, y, w, h){ this._path += `M${num(x)},${num(y)}h${num(w)}v${num(h)}h${num(-w)}Z`; }
+  // Clips everything drawn until the matching restore() to the current path
+  clip(){
+    const id = `clip${this._defs.length}`;
+    const tf = this._transform ? ` transform="${this._transform.trim()}"` : '';
+    this._defs.push(`<clipPath id="${id}"><path d="${this._path}"${tf}/></clipPath>`);
+    this._clip = id;
+  }
+
+  _common(){
+    let attrs = '';
+    if (this._transform) attrs += ` transform="${this._transform.trim()}"`;
+    if (this.globalAlpha !== 1) attrs += ` opacity="${this.globalAlpha}"`;
+    if (this._clip) attrs += ` clip-path="url(#${this._clip})"`;
+    return attrs;
+  }
+  stroke(){
+    if (!this._path) return;
+    const dash = this._dash.length ? ` stroke-dasharray="${this._dash.join(' ')}"` : '';
+    this._out.push(`<path d="${this._path}" fill="none" stroke="${esc(this.strokeStyle)}" stroke-width="${this.lineWidth}"${dash}${this._common()}/>`);
+  }
+  fill(){
+    if (!this._path) return;
+    this._out.push(`<path d="${this._path}" fill="${esc(this.fillStyle)}"${this._common()}/>`);
+  }
+  fillRect(x, y, w, h){
+    this._out.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" fill="${esc(this.fillStyle)}"${this._common()}/>`);
+  }
+  strokeRect(x, y, w, h){
+    this._out.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" fill="none" stroke="${esc(this.strokeStyle)}" stroke-width="${this.lineWidth}"${this._common()}/>`);
+  }
+  clearRect(){ /* the charts paint their own background straight after clearing */ }
+  fillText(text, x, y){
+    const anchor = ANCHOR[this.textAlign] || 'start';
+    this._out.push(`<text x="${num(x)}" y="${num(y)}" fill="${esc(this.fillStyle)}" text-anchor="${anchor}" style="font:${esc(this.font)}"${this._common()}>${esc(text)}</text>`);
+  }
+
+  toString(){
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">\n${this._defs.length ? `<defs>${this._defs.join('')}</defs>\n` : ''}${this._out.join('\n')}\n</svg>\n`;
+  }
+}
@@ -0,0 +1,179 @@
+// Recorded flight data: CSV parsing and fitting the drag model to it with simulate().
+// The fit is a Nelder–Mead search over Cd·A (and optionally ρ₀ and H) until the run matches the samples.
+
+import { simulate } from './engine.mjs';
+
+/**
+ * Recorded points, all in SI units. h or v may be null when the file has no such column.
+ * @typedef {Object} Telemetry
+ * @property {number[]} t             Time since exit (s)
+ * @property {number[]|null} h        Altitude (m)
+ * @property {number[]|null} v        Speed (m/s)
+ */
+
+// Header names we recognise for each column (lower case, units stripped)
+const COLUMN_NAMES = {
+  t: ['t', 'time', 'seconds', 'elapsed'],
+  h: ['h', 'alt', 'altitude', 'height'],
+  v: ['v', 'speed', 'velocity', 'vel'],
+};
+// Unit written in brackets after a header name → factor to SI
+const UNIT_FACTORS = {
+  s: 1, min: 60,
+  m: 1, km: 1000, ft: 0.3048,
+  'm/s': 1, 'km/h': 1 / 3.6, kph: 1 / 3.6, mph: 0.44704, 'ft/s': 0.3048, kn: 0.514444, kt: 0.514444,
+};
+
+/**
+ * Read a CSV of time plus altitude and/or speed. The first non-comment line is the header, e.g.
+ * "time (s),altitude (ft),speed (km/h)". Lines starting with # are skipped. If there is a "run"
+ * column (as in this page's own data export) only the first run is read.
+ * @param {string} text
+ * @returns {Telemetry}
+ */
+export function parseTelemetry(text){
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  if (!lines.length) throw new Error('The file is empty.');
+  const sep = lines[0].includes(',') ? ',' : lines[0].includes(';') ? ';' : /\t/.test(lines[0]) ? '\t' : /\s+/;
+  const header = lines[0].split(sep).map(c => c.trim().toLowerCase().replace(/^"|"$/g, ''));
+  const cols = {}, factors = {};
+  header.forEach((cell, i) => {
+    const m = cell.match(/^([^([]*?)\s*(?:[([]\s*([^)\]]*?)\s*[)\]])?$/);
+    const name = m ? m[1].trim() : cell, unit = m && m[2];
+    for (const [key, names] of Object.entries(COLUMN_NAMES)){
+      if (cols[key] != null || !names.includes(name)) continue;
+      if (unit && !(unit in UNIT_FACTORS)) throw new Error(`Unknown unit "${unit}" in column "${cell}".`);
+      cols[key] = i; factors[key] = unit ? UNIT_FACTORS[unit] : 1;
+    }
+  });
+  if (cols.t == null) throw new Error('No time column found (expected a header such as "time (s)").');
+  if (cols.h == null && cols.v == null) throw new Error('No altitude or speed column found (expected "altitude (m)" or "speed (m/s)").');
+  const runCol = header.indexOf('run');
+  const out = { t: [], h: cols.h != null ? [] : null, v: cols.v != null ? [] : null };
+  let firstRun = null;
+  for (const line of lines.slice(1)){
+    const cells = line.split(sep).map(c => c.trim().replace(/^"|"$/g, ''));
+    if (runCol >= 0){
+      if (firstRun == null) firstRun = cells[runCol];
+      if (cells[runCol] !== firstRun) continue;
+    }
+    const t = parseFloat(cells[cols.t]) * factors.t;
+    const h = cols.h != null ? parseFloat(cells[cols.h]) * factors.h : 0;
+    const v = cols.v != null ? Math.abs(parseFloat(cells[cols.v]) * factors.v) : 0;
+    if (![t, h, v].every(isFinite)) continue;
+    out.t.push(t);
+    if (out.h) out.h.push(h);
+    if (out.v) out.v.push(v);
+  }
+  if (out.t.length < 2) throw new Error('Fewer than two rows of numbers were found.');
+  // Keep the points in time order
+  const order = out.t.map((_, i) => i).sort((a, b) => out.t[a] - out.t[b]);
+  for (const key of ['t', 'h', 'v']) if (out[key]) out[key] = order.map(i => out[key][i]);
+  return out;
+}
+
+// Linear interpolation of series y(t) at time tt, holding the end values outside the run
+function sampleAt(t, y, tt){
+  if (tt <= t[0]) return y[0];
+  if (tt >= t[t.length-1]) return y[y.length-1];
+  let lo = 0, hi = t.length - 1;
+  while (hi - lo > 1){ const mid = (lo + hi) >> 1; if (t[mid] <= tt) lo = mid; else hi = mid; }
+  return y[lo] + (y[hi] - y[lo]) * (tt - t[lo]) / (t[hi] - t[lo]);
+}
+
+/**
+ * Root-mean-square misfit between a simulated series and recorded data.
+ * @param {import('./engine.mjs').SimSeries} series
+ * @param {Telemetry} data
+ * @returns {{ rmsH: number|null, rmsV: number|null, cost: number }}  cost weights each misfit by the largest recorded value
+ */
+export function misfit(series, data){
+  let sumH = 0, sumV = 0, hScale = 0, vScale = 0;
+  for (let i=0;i<data.t.length;i++){
+    if (data.h){ sumH += (sampleAt(series.t, series.h, data.t[i]) - data.h[i]) ** 2; hScale = Math.max(hScale, Math.abs(data.h[i])); }
+    if (data.v){ sumV += (sampleAt(series.t, series.v, data.t[i]) - data.v[i]) ** 2; vScale = Math.max(vScale, data.v[i]); }
+  }
+  const n = data.t.length;
+  const rmsH = data.h ? Math.sqrt(sumH / n) : null;
+  const rmsV = data.v ? Math.sqrt(sumV / n) : null;
+  const cost = (rmsH != null ? (rmsH / (hScale || 1)) ** 2 : 0) + (rmsV != null ? (rmsV / (vScale || 1)) ** 2 : 0);
+  return { rmsH, rmsV, cost };
+}
+
+/**
+ * Minimise f over R^n with the Nelder–Mead simplex method.
+ * @param {(x:number[]) => number} f
+ * @param {number[]} x0     Starting point
+ * @param {{ step?: number, maxIter?: number, tol?: number }} [opts]  step is the initial simplex size in each coordinate
+ * @returns {{ x: number[], fx: number, evals: number }}
+ */
+export function nelderMead(f, x0, { step=0.5, maxIter=300, tol=1e-8 } = {}){
+  const n = x0.length;
+  let evals = 0;
+  const F = (x) => { evals++; const y = f(x); return isFinite(y) ? y : Infinity; };
+  let simplex = [x0.slice()];
+  for (let i=0;i<n;i++){ const x = x0.slice(); x[i] += step; simplex.push(x); }
+  let values = simplex.map(F);
+  const along = (a, b, k) => a.map((ai, i) => ai + k * (b[i] - ai));
+  for (let iter=0; iter<maxIter; iter++){
+    const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+    simplex = order.map(i => simplex[i]); values = order.map(i => values[i]);
+    if (Math.abs(values[n] - values[0]) <= tol * (Math.abs(values[0]) + tol)) break;
+    const centroid = x0.map((_, j) => simplex.slice(0, n).reduce((s, x) => s + x[j], 0) / n);
+    const worst = simplex[n];
+    const xr = along(centroid, worst, -1), fr = F(xr);
+    if (fr < values[0]){
+      const xe = along(centroid, worst, -2), fe = F(xe);
+      if (fe < fr){ simplex[n] = xe; values[n] = fe; } else { simplex[n] = xr; values[n] = fr; }
+    } else if (fr < values[n-1]){
+      simplex[n] = xr; values[n] = fr;
+    } else {
+      // Contract towards the better of the worst point and its reflection
+      const outside = fr < values[n];
+      const xc = along(centroid, outside ? xr : worst, 0.5), fc = F(xc);
+      if (fc < (outside ? fr : values[n])){ simplex[n] = xc; values[n] = fc; }
+      else {
+        for (let i=1;i<=n;i++){ simplex[i] = along(simplex[0], simplex[i], 0.5); values[i] = F(simplex[i]); }
+      }
+    }
+  }
+  const best = values.indexOf(Math.min(...values));
+  return { x: simplex[best], fx: values[best], evals };
+}
+
+/**
+ * Least-squares fit of the body's Cd·A (and optionally ρ₀ and H) to recorded data.
+ * Cd·A is fitted as a scale factor on the body drag, so a posture schedule keeps its shape.
+ * Fitting ρ₀ or H uses the exponential atmosphere. Drag depends only on the product ρ₀·Cd·A,
+ * so fitting ρ₀ as well as Cd·A only pins down that product.
+ * @param {import('./engine.mjs').SimParams} base  Settings for everything not being fitted (drag is switched on)
+ * @param {Telemetry} data
+ * @param {{ fitRho0?: boolean, fitH?: boolean, maxIter?: number, onEval?: (evals:number) => void }} [opts]
+ *   onEval: called after every trial run with the number of runs so far
+ * @returns {{ CdA: number, rho0: number, H: number, params: import('./engine.mjs').SimParams, rmsH: number|null, rmsV: number|null, cost: number, evals: number }}
+ */
+export function fitDrag(base, data, { fitRho0=false, fitH=false, maxIter=200, onEval } = {}){
+  const exponential = fitRho0 || fitH;
+  // Work in logs so every fitted quantity stays positive
+  const build = (x) => {
+    const k = Math.exp(x[0]);
+    let j = 1;
+    const p = { ...base, withDrag: true, Cd: base.Cd * k };
+    if (base.posture) p.posture = { ...base.posture, frames: base.posture.frames.map(f => ({ ...f, Cd: f.Cd * k })) };
+    if (exponential) p.atmosModel = 'exponential';
+    if (fitRho0) p.rho0 = base.rho0 * Math.exp(x[j++]);
+    if (fitH) p.H = base.H * Math.exp(x[j++]);
+    return p;
+  };
+  const x0 = [0, ...(fitRho0 ? [0] : []), ...(fitH ? [0] : [])];
+  let runs = 0;
+  const cost = (x) => {
+    const c = misfit(simulate(build(x)).series, data).cost;
+    if (onEval) onEval(++runs);
+    return c;
+  };
+  const result = nelderMead(cost, x0, { step: 0.3, maxIter });
+  const params = build(result.x);
+  const fit = misfit(simulate(params).series, data);
+  return { CdA: params.Cd * params.A, rho0: params.rho0, H: params.H, params, ...fit, evals: result.evals };
+}
@@ -0,0 +1,36 @@
+// Checks for accessibility.mjs: key moments, the data table and spoken descriptions. Run with: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate } from '../engine.mjs';
+import { keyMoments, tableAt, describeAt, pitchFor } from '../accessibility.mjs';
+import { jump } from './helpers.mjs';
+
+const felix = { ...jump, gravityModel: 'real' };
+
+test('key moments run from the start to the impact, with the peaks between', () => {
+  const res = simulate(felix);
+  const moments = keyMoments(res, [{ t: 30, label: 'Mach 1' }]);
+  // Speed and KE peak together, so they share a row
+  assert.deepEqual(moments.map(m => m.label), ['Start', 'Mach 1', 'Max speed, Max KE', 'Impact']);
+  assert.ok(moments[2].t > 30 && moments[2].t < res.tEnd);
+  // Without drag both peak at the impact; a catapult adds its highest point
+  const free = keyMoments(simulate({ ...felix, withDrag: false, h0: 1000 }));
+  assert.deepEqual(free.map(m => m.label), ['Start', 'Max speed, Max KE, Impact']);
+  const launch = keyMoments(simulate({ ...felix, scenario: 'catapult', h0: 0, withDrag: false, springK: 2000, springX: 3, launchAngleDeg: 45 }));
+  assert.deepEqual(launch.map(m => m.label), ['Start, Max speed, Max KE', 'Highest point', 'Impact']);
+});
+
+test('tables and descriptions read each line at the moment, with its units', () => {
+  const lines = [
+    { name: 'Speed', t: [0, 1, 2], y: [0, 10, 20], show: (v) => `${v} m/s` },
+    { name: 'Run 1', t: [0, 1], y: [5, 6] },
+  ];
+  const { head, rows } = tableAt(lines, [{ t: 0, label: 'Start' }, { t: 1.5, label: 'Later' }, { t: 2, label: 'Impact' }]);
+  assert.deepEqual(head, ['Moment', 'Time (s)', 'Speed', 'Run 1']);
+  assert.deepEqual(rows, [['Start', '0.00', '0 m/s', '5'], ['Later', '1.50', '10 m/s', '—'], ['Impact', '2.00', '20 m/s', '—']]);
+  assert.equal(describeAt(lines, 1, 'Max KE'), 'Max KE. t = 1.00 s: Speed 10 m/s, Run 1 6.');
+  assert.equal(describeAt(lines, 12), 't = 12.0 s: no data.');
+  assert.equal(pitchFor(0, 100), 220);
+  assert.equal(pitchFor(50, 100), 440);
+  assert.equal(pitchFor(500, 100), 880);
+});
@@ -0,0 +1,216 @@
+// Physics checks for engine.mjs against analytic cases. Run with: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate, analyticNoDrag, energyResidual, atmosphereAt, gpeAt, sweep, linspace, postureAt, sortPosture, windAt, JET_STREAM, BODIES, minMaxIndices, checkParams, g0, R } from '../engine.mjs';
+import { close } from './helpers.mjs';
+
+const base = {
+  scenario: 'freefall', m: 100, h0: 1000, dt: 0.01, withDrag: false, gravityModel: 'simplified',
+  Cd: 1.0, A: 0.8, rho0: 1.225, H: 8500, integrator: 'rk4',
+};
+
+test('no-drag impact speed is √(2gh)', () => {
+  for (const integrator of ['euler', 'semiImplicit', 'verlet', 'rk4', 'rk45']){
+    const res = simulate({ ...base, integrator });
+    assert.equal(res.endLabel, 'ground');
+    close(res.vEnd, Math.sqrt(2 * 10 * base.h0), integrator.startsWith('rk') || integrator === 'verlet' ? 1e-9 : 1e-3, integrator);
+    close(res.tEnd, Math.sqrt(2 * base.h0 / 10), integrator.startsWith('rk') || integrator === 'verlet' ? 1e-9 : 1e-3, integrator);
+  }
+});
+
+test('no-drag fall in g(h) matches the exact inverse-square solution', () => {
+  const params = { ...base, h0: 39045, gravityModel: 'real', dt: 0.05 };
+  const res = simulate(params);
+  const exact = analyticNoDrag(params);
+  close(res.vEnd, exact.vEnd, 1e-9, 'impact speed');
+  close(res.tEnd, exact.tEnd, 1e-9, 'fall time');
+  close(exact.vEnd, Math.sqrt(2 * g0 * R * 39045 / (R + 39045)), 1e-12, 'energy form');
+});
+
+test('terminal velocity is √(2mg/ρCdA) in a uniform atmosphere', () => {
+  // A huge scale height makes the density the same at every altitude
+  const params = { ...base, h0: 5000, withDrag: true, H: 1e15, dt: 0.02 };
+  const res = simulate(params);
+  const vt = Math.sqrt(2 * params.m * 10 / (params.rho0 * params.Cd * params.A));
+  close(res.vEnd, vt, 1e-6, 'impact speed');
+  assert.ok(res.vMax <= vt * (1 + 1e-9), 'never exceeds terminal velocity');
+});
+
+test('drag-free catapult obeys the range equation', () => {
+  const m = 5, springK = 2000, springX = 0.5;
+  const v0 = Math.sqrt(springK * springX * springX / m);
+  for (const launchAngleDeg of [20, 45, 70]){
+    const params = { ...base, scenario: 'catapult', m, springK, springX, launchAngleDeg, h0: 0 };
+    const res = simulate(params);
+    const ang = launchAngleDeg * Math.PI / 180;
+    const range = res.series.x[res.series.x.length - 1];
+    close(range, v0 * v0 * Math.sin(2 * ang) / 10, 1e-9, `range at ${launchAngleDeg}°`);
+    close(res.tEnd, 2 * v0 * Math.sin(ang) / 10, 1e-9, `flight time at ${launchAngleDeg}°`);
+    close(res.vEnd, v0, 1e-9, `impact speed at ${launchAngleDeg}°`);
+  }
+});
+
+test('energy is conserved within tolerance', () => {
+  const cases = [
+    [{ ...base, gravityModel: 'real', h0: 39045, dt: 0.05 }, 1e-10],
+    [{ ...base, gravityModel: 'real', h0: 39045, dt: 0.05, withDrag: true, atmosModel: 'isa' }, 1e-6],
+    [{ ...base, h0: 39045, dt: 0.05, withDrag: true, withChute: true, deployAlt: 2500, chuteCd: 1.3, chuteA: 25, inflateTime: 3 }, 1e-5],
+    [{ ...base, h0: 39045, dt: 0.05, integrator: 'semiImplicit' }, 1e-3],
+    [{ ...base, scenario: 'catapult', h0: 0, m: 5, springK: 2000, springX: 0.5, withDrag: true, launchAngleDeg: 45 }, 1e-8],
+  ];
+  for (const [params, tol] of cases){
+    const { rel } = energyResidual(simulate(params).series);
+    assert.ok(rel < tol, `${params.scenario}/${params.integrator}: residual ${rel}`);
+  }
+  // The first sample's GPE is the initial GPE from gpeAt
+  const res = simulate({ ...base, gravityModel: 'real' });
+  assert.equal(res.series.gpe[0], gpeAt(base.m, base.h0, 'real'));
+});
+
+test('freefall stops at the 3600 s cutoff', () => {
+  // Huge drag area: terminal speed ≈ 2.9 m/s, so 20 km takes ~7000 s
+  const res = simulate({ ...base, h0: 20000, withDrag: true, A: 200, H: 1e15, dt: 0.1 });
+  assert.equal(res.endLabel, 'time limit');
+  assert.ok(res.tEnd >= 3600 && res.tEnd < 3600 + 0.1, `tEnd ${res.tEnd}`);
+  assert.ok(res.series.h[res.series.h.length - 1] > 0);
+});
+
+test('catapult stops at the 2000 s cutoff', () => {
+  // Launched straight up faster than escape velocity in g(h): it never comes back
+  const res = simulate({ ...base, scenario: 'catapult', h0: 0, m: 1, springK: 2 * 12000 ** 2, springX: 1 / Math.sqrt(2), launchAngleDeg: 90, gravityModel: 'real', dt: 1 });
+  assert.equal(res.endLabel, 'time limit');
+  assert.ok(res.tEnd >= 2000 && res.tEnd < 2001, `tEnd ${res.tEnd}`);
+});
+
+test('layered atmosphere matches US-1976 reference values', () => {
+  close(atmosphereAt(0, 'isa').rho, 1.225, 1e-3, 'sea level');
+  close(atmosphereAt(11000, 'isa').T, 216.65, 1e-3, 'tropopause T');
+  close(atmosphereAt(11019, 'isa').rho, 0.3639, 2e-3, 'density at 11 km geopotential');
+  close(atmosphereAt(0, 'isa').a, 340.3, 1e-3, 'speed of sound');
+});
+
+test('parachute deploys at the set altitude and slows the landing', () => {
+  const params = { ...base, h0: 39045, dt: 0.05, withDrag: true, withChute: true, deployAlt: 2500, chuteCd: 1.3, chuteA: 25, inflateTime: 3 };
+  const res = simulate(params);
+  assert.ok(res.deploy && res.deploy.h <= 2500 && res.deploy.h > 2400, `deploy at ${res.deploy && res.deploy.h}`);
+  assert.ok(res.vEnd < 10, `landing speed ${res.vEnd}`);
+  assert.ok(res.aOpenMax > 0);
+});
+
+test('launch-angle sweep peaks at 45° without drag and below it with drag', () => {
+  const params = { ...base, scenario: 'catapult', m: 5, springK: 2000, springX: 0.5, h0: 0 };
+  const angles = linspace(5, 85, 17);
+  assert.deepEqual(angles.slice(0, 3), [5, 10, 15]);
+  const ideal = sweep(params, 'launchAngleDeg', angles, 'range');
+  const v0sq = params.springK * params.springX ** 2 / params.m;
+  ideal.results.forEach((r, i) => close(r, v0sq * Math.sin(2 * angles[i] * Math.PI / 180) / 10, 1e-9, `range at ${angles[i]}°`));
+  const best = (res) => res.values[res.results.indexOf(Math.max(...res.results))];
+  assert.equal(best(ideal), 45);
+  assert.ok(best(sweep({ ...params, withDrag: true, A: 0.5 }, 'launchAngleDeg', angles, 'range')) < 45);
+  assert.ok(ideal.cutoff.every(c => !c));
+});
+
+test('posture schedule blends between keyframes and changes the terminal speed', () => {
+  const base2 = { Cd: 1.0, A: 0.8 };
+  const sched = sortPosture({ key: 'time', blend: 2, frames: [{ at: 20, Cd: 0.7, A: 0.6 }, { at: 10, Cd: 1.2, A: 1.0 }] });
+  assert.deepEqual(postureAt(sched, base2, 5, 0), { Cd: 1.0, A: 0.8, index: -1 });
+  const mid = postureAt(sched, base2, 11, 0);
+  close(mid.Cd, 1.1, 1e-12, 'halfway through the blend');
+  assert.equal(mid.index, 0);
+  assert.deepEqual(postureAt(sched, base2, 30, 0), { Cd: 0.7, A: 0.6, index: 1 });
+  const byAlt = sortPosture({ key: 'altitude', frames: [{ at: 1000, Cd: 2, A: 2 }, { at: 3000, Cd: 3, A: 3 }] });
+  assert.equal(postureAt(byAlt, base2, 0, 2000).Cd, 3);
+
+  // Spread from 4000 m down: lands at the spread posture's terminal speed
+  const params = { ...base, h0: 5000, withDrag: true, H: 1e15, dt: 0.02, posture: { key: 'altitude', frames: [{ at: 4000, Cd: 1.2, A: 1.0 }] } };
+  const res = simulate(params);
+  close(res.vEnd, Math.sqrt(2 * params.m * 10 / (params.rho0 * 1.2 * 1.0)), 1e-6, 'spread terminal speed');
+  assert.equal(res.series.posture[0], -1);
+  assert.equal(res.series.posture[res.series.posture.length - 1], 0);
+});
+
+test('catapult from a platform matches the drag-free projectile formulae', () => {
+  const params = { ...base, scenario: 'catapult', m: 5, springK: 2000, springX: 0.5, launchAngleDeg: 30, h0: 20, dt: 0.001 };
+  const res = simulate(params);
+  const exact = analyticNoDrag(params);
+  const v0 = Math.sqrt(2000 * 0.25 / 5);
+  close(res.efficiency, 1, 1e-12, 'spring-to-KE efficiency');
+  close(res.series.v[0], v0, 1e-12, 'launch speed');
+  close(res.range, exact.range, 1e-9, 'range');
+  close(res.tEnd, exact.tEnd, 1e-9, 'flight time');
+  close(res.vEnd, exact.vEnd, 1e-9, 'impact speed');
+  close(res.apex.h, exact.apex, 1e-6, 'apex height');
+  close(res.apex.t, exact.tApex, 1e-2, 'time to apex');
+  close(Math.tan(res.landingAngleDeg * Math.PI / 180), Math.sqrt(exact.vEnd ** 2 - (v0 * Math.cos(Math.PI / 6)) ** 2) / (v0 * Math.cos(Math.PI / 6)), 1e-9, 'landing angle');
+});
+
+test('other bodies use their own gravity and atmosphere', () => {
+  const { moon, mars, titan } = BODIES;
+  const onMoon = { ...base, body: moon, withDrag: true, rho0: moon.rho0, H: moon.H };
+  const res = simulate(onMoon);
+  close(res.vEnd, Math.sqrt(2 * 1.6 * base.h0), 1e-9, 'airless Moon, uniform g');
+  assert.equal(res.eDiss, 0);
+  assert.equal(res.machMax, 0);
+  const real = { ...onMoon, gravityModel: 'real', h0: 100000, dt: 0.05 };
+  close(simulate(real).vEnd, analyticNoDrag(real).vEnd, 1e-9, 'inverse-square fall on the Moon');
+  // Terminal speed scales as √(g/ρ): Titan's dense air and weak gravity make it slow
+  const vt = (b) => simulate({ ...base, body: b, withDrag: true, rho0: b.rho0, H: 1e15, h0: 100000, dt: 0.05 }).vEnd;
+  close(vt(titan), Math.sqrt(2 * base.m * 1.4 / (titan.rho0 * base.Cd * base.A)), 1e-6, 'Titan terminal speed');
+  close(vt(mars), Math.sqrt(2 * base.m * 3.7 / (mars.rho0 * base.Cd * base.A)), 1e-6, 'Mars terminal speed');
+  // Mars's isothermal CO2 atmosphere is near 215 K; the layered model is Earth's only
+  const atm = atmosphereAt(0, 'isa', mars.rho0, mars.H, mars);
+  close(atm.T, 215, 0.01, 'Mars temperature');
+  assert.equal(atm.rho, mars.rho0);
+});
+
+test('wind drags the jumper sideways and the energy books still balance', () => {
+  // Uniform air and a steady 10 m/s wind: the jumper ends up moving with the air horizontally
+  const still = { ...base, withDrag: true, H: 1e15, h0: 3000, dt: 0.02 };
+  const res = simulate({ ...still, wind: [[0, 10]] });
+  const n = res.series.t.length - 1;
+  close(res.series.keh[n], 0.5 * base.m * 10 * 10, 1e-4, 'horizontal KE at the wind speed');
+  close(res.series.ke[n], 0.5 * base.m * res.vEnd ** 2, 1e-12, 'KE counts both components');
+  assert.ok(res.range > 0 && res.windWork > 0, `drift ${res.range} m, wind work ${res.windWork} J`);
+  // Terminal airspeed is unchanged by a steady wind, so the fall takes as long as in still air
+  close(res.tEnd, simulate(still).tEnd, 1e-3, 'fall time');
+  assert.ok(energyResidual(res.series).rel < 1e-6);
+  // Jet-stream shear: the profile interpolates between its points and the drift follows it
+  close(windAt(10000, JET_STREAM), 45, 1e-12, 'wind at 10 km');
+  const jet = simulate({ ...base, withDrag: true, h0: 39045, dt: 0.05, wind: JET_STREAM });
+  assert.ok(jet.range > 1000 && energyResidual(jet.series).rel < 1e-6, `drift ${jet.range} m`);
+  assert.equal(simulate({ ...base, scenario: 'catapult', springK: 2000, springX: 3, wind: [[0, 10]] }).windWork, 0);
+  // Table rows may come in any order
+  assert.equal(simulate({ ...base, withDrag: true, h0: 39045, dt: 0.05, wind: JET_STREAM.slice().reverse() }).range, jet.range);
+});
+
+test('min/max downsampling keeps every peak of a long series', () => {
+  const t = linspace(0, 100, 200001);
+  const y = t.map((x, i) => Math.sin(x) + (i === 123457 ? 5 : 0));
+  const idx = minMaxIndices(t, [y], 0, t.length - 1, 500);
+  assert.ok(idx.length <= 3 * 500 + 1, `${idx.length} points`);
+  assert.ok(idx.includes(123457) && idx[0] === 0 && idx[idx.length-1] === t.length - 1);
+  assert.ok(idx.every((i, k) => k === 0 || i > idx[k-1]), 'indices increase');
+  assert.deepEqual(minMaxIndices(t, [y], 10, 20, 500), linspace(10, 20, 11));
+});
+
+test('progress is reported during a run and bad inputs are caught before it', () => {
+  const seen = [];
+  const res = simulate({ ...base, h0: 39045, dt: 0.01 }, { onProgress: (p) => seen.push(p), progressEvery: 1000 });
+  assert.equal(seen.length, Math.floor(res.steps / 1000));
+  assert.ok(seen.every((p, i) => p.steps === 1000 * (i + 1) && p.h < 39045 && p.tLimit === 3600));
+  assert.deepEqual(checkParams({ ...base, h0: 39045 }), []);
+  const keys = (p) => checkParams(p).map(x => x.key);
+  assert.deepEqual(keys({ ...base, m: -1, dt: NaN }), ['m', 'dt']);
+  assert.deepEqual(keys({ ...base, dt: 1e-5, withDrag: true, H: 0 }), ['dt', 'H']);
+  assert.deepEqual(keys({ ...base, scenario: 'catapult', h0: 0, springK: 0, springX: 3, launchAngleDeg: 120 }), ['springK', 'launchAngleDeg']);
+  assert.deepEqual(keys({ ...base, body: { ...BODIES.mars, gamma: 1 } }), ['body']);
+  assert.deepEqual(keys({ ...base, scenario: 'catapult', h0: NaN, springK: 2000, springX: 3, launchAngleDeg: 45 }), ['h0']);
+  // A bad table row is named, counting from 1 in the order given
+  const messages = (p) => checkParams(p).map(x => x.message);
+  assert.deepEqual(messages({ ...base, wind: [[0, 5], [NaN, 10], [-1, 3]] }), ['Row 2 of the wind table needs an altitude of 0 m or more and a wind speed.']);
+  assert.deepEqual(messages({ ...base, wind: [[0, NaN]] }), ['The wind speed must be a number.']);
+  assert.deepEqual(messages({ ...base, withDrag: true, cdMachCurve: [[0, 1], [1, -2]] }), ['Row 2 of the Cd(Mach) table needs a Mach number and a multiplier, neither negative.']);
+  const frames = [{ at: 20, Cd: 0.7, A: 0.6 }, { at: 10, Cd: 1.2, A: 1 }, { at: 30, Cd: NaN, A: 1 }];
+  assert.deepEqual(messages({ ...base, withDrag: true, posture: { key: 'time', blend: NaN, frames } }),
+    ['The posture blend cannot be negative.', 'Row 3 of the posture table needs numbers, with Cd and A not negative.']);
+});
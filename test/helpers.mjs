@@ -0,0 +1,11 @@
+// Shared by the test files: a relative-tolerance assertion and the 2012 jump as a parameter set.
+import assert from 'node:assert/strict';
+
+export const close = (actual, expected, relTol, msg) =>
+  assert.ok(Math.abs(actual - expected) <= relTol * Math.abs(expected), `${msg}: ${actual} vs ${expected}`);
+
+// Felix Baumgartner's jump: 118 kg from 39 045 m, with drag and g = 10 N/kg
+export const jump = {
+  scenario: 'freefall', m: 118, h0: 39045, dt: 0.05, withDrag: true, gravityModel: 'simplified',
+  Cd: 1.0, A: 0.8, rho0: 1.225, H: 8500, atmosModel: 'exponential', integrator: 'rk4',
+};
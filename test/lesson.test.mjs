@@ -0,0 +1,47 @@
+// Checks for lesson.mjs: reading lesson files, marking and the score report. Run with: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate } from '../engine.mjs';
+import { parseLesson, markPrediction, markChoice, lessonScore, lessonReport, BUILTIN_LESSON } from '../lesson.mjs';
+import { jump } from './helpers.mjs';
+
+test('reads lesson JSON, fills in defaults and rejects malformed steps', () => {
+  const lesson = parseLesson(JSON.stringify(BUILTIN_LESSON));
+  assert.equal(lesson.steps.length, BUILTIN_LESSON.steps.length);
+  const minimal = parseLesson('{"title":"Drop","steps":[{"prompt":"Read this"},{"type":"predict","prompt":"Speed?","metric":"vEnd"}]}');
+  assert.deepEqual([minimal.steps[0].type, minimal.steps[1].tol, minimal.lock, minimal.setup], ['info', 0.05, [], {}]);
+  assert.throws(() => parseLesson('{"steps":[]}'), /title/);
+  assert.throws(() => parseLesson({ title: 'x', steps: [{ type: 'predict', prompt: 'p', metric: 'colour' }] }), /Step 1: "metric"/);
+  assert.throws(() => parseLesson({ title: 'x', steps: [{ prompt: 'a' }, { type: 'choice', prompt: 'p', choices: ['a', 'b'], answer: 2 }] }), /Step 2: "answer"/);
+  assert.throws(() => parseLesson({ title: 'x', lock: 'm', steps: [{ prompt: 'a' }] }), /lock/);
+  assert.throws(() => parseLesson({ title: 'x', setup: { cdTable: [['"><img src=x>', 1]] }, steps: [{ prompt: 'a' }] }), /Lesson: "cdTable"/);
+  assert.throws(() => parseLesson({ title: 'x', steps: [{ prompt: 'a', setup: { postureTable: [[10, 'spread', 1.2]] } }] }), /Step 1: "postureTable"/);
+  assert.equal(parseLesson({ title: 'x', setup: { windTable: [[0, 5], [10000, 40]] }, steps: [{ prompt: 'a' }] }).setup.windTable.length, 2);
+});
+
+test('marks a prediction of the drag-free impact speed within the tolerance', () => {
+  const step = BUILTIN_LESSON.steps.find(s => s.metric === 'vEnd');
+  const res = simulate({ ...jump, withDrag: false });
+  const v = Math.sqrt(2 * 10 * jump.h0);
+  assert.ok(markPrediction(step, v, res.vEnd).correct);
+  assert.ok(markPrediction(step, 0.96 * v, res.vEnd).correct);
+  assert.ok(!markPrediction(step, 0.9 * v, res.vEnd).correct);
+  assert.ok(!markPrediction(step, NaN, res.vEnd).correct);
+  assert.ok(markPrediction({ tolAbs: 2 }, 11.5, 10).correct === true && !markPrediction({ tolAbs: 1 }, 11.5, 10).correct);
+});
+
+test('scores the marked steps and writes a report', () => {
+  const lesson = parseLesson(BUILTIN_LESSON);
+  const marks = [];
+  const iPredict = lesson.steps.findIndex(s => s.type === 'predict');
+  const iChoice = lesson.steps.findIndex(s => s.type === 'choice');
+  marks[iPredict] = markPrediction(lesson.steps[iPredict], 880, 883.7);
+  marks[iChoice] = markChoice(lesson.steps[iChoice], 0);
+  const total = lesson.steps.filter(s => s.type !== 'info').length;
+  assert.deepEqual(lessonScore(lesson, marks), { score: 1, total, answered: 2 });
+  const report = lessonReport(lesson, marks, { student: 'Sam', date: new Date(0) });
+  assert.match(report, /Student: Sam/);
+  assert.match(report, new RegExp(`Score: 1 / ${total} \\(${total - 2} not answered\\)`));
+  assert.match(report, /Prediction 880 m\/s, simulation 883\.7 m\/s: correct/);
+  assert.match(report, /not correct \(right answer: "Air resistance/);
+});
@@ -0,0 +1,50 @@
+// Checks for telemetry.mjs: CSV parsing and recovering drag parameters from synthetic data. Run with: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate } from '../engine.mjs';
+import { parseTelemetry, nelderMead, fitDrag, misfit } from '../telemetry.mjs';
+import { close, jump } from './helpers.mjs';
+
+const base = { ...jump, m: 100, h0: 20000, dt: 0.1 };
+
+// Every 5 s of a simulated jump, written out as a CSV
+function syntheticCSV(params, header = 'time (s),altitude (m),speed (m/s)', scale = [1, 1, 1]){
+  const { series } = simulate(params);
+  const rows = [header];
+  for (let i=0;i<series.t.length;i++){
+    if (Math.abs(series.t[i] / 5 - Math.round(series.t[i] / 5)) > 1e-6) continue;
+    rows.push([series.t[i] / scale[0], series.h[i] / scale[1], -series.v[i] / scale[2]].join(','));
+  }
+  return rows.join('\n');
+}
+
+test('parses headers with units and skips comments and other runs', () => {
+  const data = parseTelemetry('# Excelsior III\ntime (min),altitude (ft),speed (km/h)\n0,1000,0\n0.5,500,36\n');
+  assert.deepEqual(data.t, [0, 30]);
+  close(data.h[0], 304.8, 1e-12, 'feet');
+  close(data.v[1], 10, 1e-12, 'km/h');
+  const own = parseTelemetry('# m=118\nrun,t (s),v (m/s),h (m)\nsimulation,0,0,100\nsimulation,1,10,95\ncomparison (no drag),0,0,100\n');
+  assert.deepEqual(own, { t: [0, 1], h: [100, 95], v: [0, 10] });
+  assert.throws(() => parseTelemetry('a,b\n1,2\n'), /time column/);
+  assert.throws(() => parseTelemetry('t,h (furlongs)\n1,2\n'), /Unknown unit/);
+});
+
+test('Nelder–Mead finds the minimum of the Rosenbrock function', () => {
+  const { x } = nelderMead(([a, b]) => (1 - a) ** 2 + 100 * (b - a * a) ** 2, [-1.2, 1], { maxIter: 2000, tol: 1e-14 });
+  close(x[0], 1, 1e-3, 'x');
+  close(x[1], 1, 1e-3, 'y');
+});
+
+test('recovers Cd·A (and H) from synthetic jump data', () => {
+  const truth = { ...base, Cd: 1.1, A: 0.9, H: 7000 };
+  const data = parseTelemetry(syntheticCSV(truth, 'time (s),altitude (km),speed (m/s)', [1, 1000, 1]));
+  const guess = { ...base, H: 8500 };
+  assert.ok(misfit(simulate(guess).series, data).cost > 1e-3);
+  const seen = [];
+  const fit = fitDrag(guess, data, { fitH: true, onEval: (n) => seen.push(n) });
+  assert.equal(seen.length, fit.evals);
+  assert.equal(seen[seen.length-1], fit.evals);
+  close(fit.CdA, 1.1 * 0.9, 1e-3, 'Cd·A');
+  close(fit.H, 7000, 1e-3, 'H');
+  assert.ok(fit.rmsV < 0.5 && fit.rmsH < 5, `residuals ${fit.rmsV} m/s, ${fit.rmsH} m`);
+});
@@ -0,0 +1,37 @@
+// Checks for working.mjs: number formatting and the worked solutions against simulate(). Run with: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate } from '../engine.mjs';
+import { formatNumber, workedSolutions } from '../working.mjs';
+import { close, jump } from './helpers.mjs';
+
+const solve = (p, opts) => Object.fromEntries(workedSolutions(p, simulate(p), simulate({ ...p, withDrag: false }), opts).map(s => [s.id, s]));
+
+test('rounds to significant figures in ordinary and standard form', () => {
+  assert.equal(formatNumber(39045), '39000');
+  assert.equal(formatNumber(9), '9.00');
+  assert.equal(formatNumber(9.996), '10.0');
+  assert.equal(formatNumber(0.000123456, { sf: 2 }), '0.00012');
+  assert.equal(formatNumber(883.68, { standard: true }), '8.84 × 10²');
+  assert.equal(formatNumber(-0.0042, { sf: 2, standard: true }), '-4.2 × 10⁻³');
+  assert.equal(formatNumber(4.5, { standard: true }), '4.50');
+});
+
+test('hand calculations agree with the simulation where they should', () => {
+  const s = solve(jump);
+  assert.deepEqual(s.impact.lines.slice(-2), ['v = √(2 × 10 × 39045)', 'v = 884 m/s']);
+  close(s.gpe.value, s.gpe.check.value, 1e-12, 'GPE');
+  close(s.impact.value, s.impact.check.value, 1e-3, 'drag-free impact speed');
+  // Near the ground the jumper is at terminal speed, and the drag force equals the weight there
+  const low = solve({ ...jump, H: 1e15 }, { alt: 100, standard: true });
+  close(low.terminal.value, low.terminal.check.value, 1e-3, 'terminal speed');
+  close(low.drag.value, jump.m * 10, 1e-3, 'drag force');
+  assert.match(low.drag.lines[2], / × \(4\.9\d × 10¹\)²$/, 'standard form is bracketed before squaring');
+  // Catapult: EPE, launch speed and the drop from a platform
+  const cat = solve({ ...jump, scenario: 'catapult', withDrag: false, m: 2, h0: 10, springK: 2000, springX: 3, launchAngleDeg: 45 });
+  assert.equal(cat.epe.lines[2], 'EPE = 9000 J');
+  close(cat.epe.value, cat.epe.check.value, 1e-12, 'EPE becomes launch KE');
+  close(cat.v0.value, cat.v0.check.value, 1e-12, 'launch speed');
+  close(cat.impact.value, cat.impact.check.value, 1e-3, 'landing speed');
+  assert.equal(cat.terminal, undefined, 'no drag steps without drag');
+});
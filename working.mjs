@@ -0,0 +1,181 @@
+// Worked solutions: the GCSE calculations behind a run, written out step by step with the numbers
+// substituted in, each checked against the value simulate() produced.
+
+import { BODIES, gAt, atmosphereAt, launchSpeed } from './engine.mjs';
+
+/**
+ * One calculation: its lines of working, the answer and, where simulate() works out the same
+ * quantity, what the run gave.
+ * @typedef {Object} WorkingStep
+ * @property {string} id              Anchor name, e.g. 'gpe'
+ * @property {string} title
+ * @property {string[]} lines         Equation, substitution, rearrangement and answer, in order
+ * @property {number|null} value      Answer, unrounded (null if it cannot be worked out)
+ * @property {string} unit
+ * @property {{ label: string, value: number }|null} check  The same quantity from simulate()
+ * @property {string} [note]
+ */
+
+const SUPERSCRIPT = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+
+/**
+ * A number rounded to sf significant figures, in ordinary or standard form (a × 10ⁿ).
+ * Trailing zeros that are significant are kept, so 3 s.f. of 9 reads 9.00.
+ * @param {number} x
+ * @param {{ sf?: number, standard?: boolean }} [opts]
+ * @returns {string}
+ */
+export function formatNumber(x, { sf=3, standard=false } = {}){
+  if (!isFinite(x)) return String(x);
+  if (x === 0) return (0).toFixed(sf - 1);
+  const [mantissa, e] = x.toExponential(sf - 1).split('e');
+  const exp = +e;
+  if (standard) return exp === 0 ? mantissa : `${mantissa} × 10${String(exp).split('').map(c => SUPERSCRIPT[c]).join('')}`;
+  // Ordinary form: as many decimal places as the significant figures need, none for large numbers
+  return Number(`${mantissa}e${exp}`).toFixed(Math.max(0, sf - 1 - exp));
+}
+
+// Speed where the run first passes altitude alt (linear between samples), or null if it never does
+function speedAt(series, alt){
+  const { h, v } = series;
+  for (let i=1;i<h.length;i++){
+    const a = h[i-1] - alt, b = h[i] - alt;
+    if (a === 0) return v[i-1];
+    if (a * b <= 0) return v[i-1] + (v[i] - v[i-1]) * a / (a - b);
+  }
+  return null;
+}
+
+/**
+ * Step-by-step working for the current settings: EPE and launch speed (catapult), starting GPE,
+ * the drag-free impact speed, and air density, drag force and terminal speed at altitude alt.
+ * @param {import('./engine.mjs').SimParams} params
+ * @param {import('./engine.mjs').SimResult} res        The run with the chosen settings
+ * @param {import('./engine.mjs').SimResult} resNoDrag  The same run without drag
+ * @param {{ alt?: number, sf?: number, standard?: boolean }} [opts]  alt: altitude for the drag steps (m)
+ * @returns {WorkingStep[]}
+ */
+export function workedSolutions(params, res, resNoDrag, { alt=10000, sf=3, standard=false } = {}){
+  const { m, h0, scenario, gravityModel, withDrag, Cd, A, rho0, H, atmosModel, springK=0, springX=0 } = params;
+  const body = params.body || BODIES.earth;
+  const n = (x) => formatNumber(x, { sf, standard });
+  // Inside a substitution a number in standard form goes in brackets, so (6.3 × 10¹)² cannot be misread
+  const b = (x) => { const s = n(x); return s.includes('×') ? `(${s})` : s; };
+  const real = gravityModel === 'real';
+  const g = body.gSimple;
+  const steps = [];
+
+  let v0 = 0;
+  if (scenario === 'catapult'){
+    const epe = 0.5 * springK * springX * springX;
+    steps.push({
+      id: 'epe', title: 'Elastic potential energy in the catapult', unit: 'J', value: epe,
+      lines: ['EPE = ½ k x²', `EPE = ½ × ${springK} × ${springX}²`, `EPE = ${n(epe)} J`],
+      check: { label: 'KE at launch in the simulation', value: res.series.ke[0] },
+    });
+    v0 = launchSpeed(params);
+    steps.push({
+      id: 'v0', title: 'Launch speed', unit: 'm/s', value: v0,
+      lines: [
+        'The EPE becomes KE: ½ m v₀² = EPE',
+        'Rearrange: v₀ = √(2 × EPE ÷ m)',
+        `v₀ = √(2 × ${b(epe)} ÷ ${m})`,
+        `v₀ = ${n(v0)} m/s`,
+      ],
+      check: { label: 'Launch speed in the simulation', value: res.series.v[0] },
+    });
+  }
+
+  const h = scenario === 'catapult' ? Math.max(0, h0) : h0;
+  const gpe = real ? m * body.g0 * body.R * h / (body.R + h) : m * g * h;
+  steps.push({
+    id: 'gpe', title: scenario === 'catapult' ? 'GPE at the launch height' : 'GPE at the start', unit: 'J', value: gpe,
+    lines: real
+      ? ['With g changing with height: GPE = m g₀ R h ÷ (R + h)', `GPE = ${m} × ${body.g0} × ${b(body.R)} × ${h} ÷ (${b(body.R)} + ${h})`, `GPE = ${n(gpe)} J`]
+      : ['GPE = m g h', `GPE = ${m} × ${g} × ${h}`, `GPE = ${n(gpe)} J`],
+    check: { label: 'GPE at the start of the simulation', value: res.series.gpe[0] },
+  });
+
+  // Without drag every joule of GPE (and launch KE) ends up as KE at the ground
+  let vImpact, lines;
+  if (scenario === 'catapult'){
+    // The catapult's drop is short enough to use g at the ground, as the engine's exact answer does
+    const gG = gAt(0, gravityModel, body), gText = real ? b(gG) : String(g);
+    vImpact = Math.sqrt(v0 * v0 + 2 * gG * h);
+    lines = [
+      'No drag: KE at the ground = KE at launch + GPE at launch',
+      '½ m v² = ½ m v₀² + m g h',
+      'The mass cancels. Rearrange: v = √(v₀² + 2 g h)',
+      `v = √(${b(v0)}² + 2 × ${gText} × ${h})`,
+      `v = ${n(vImpact)} m/s`,
+    ];
+  } else if (real){
+    vImpact = Math.sqrt(2 * gpe / m);
+    lines = [
+      'No drag: KE at the ground = GPE at the start',
+      '½ m v² = m g₀ R h ÷ (R + h)',
+      'The mass cancels. Rearrange: v = √(2 g₀ R h ÷ (R + h))',
+      `v = √(2 × ${body.g0} × ${b(body.R)} × ${h} ÷ (${b(body.R)} + ${h}))`,
+      `v = ${n(vImpact)} m/s`,
+    ];
+  } else {
+    vImpact = Math.sqrt(2 * g * h);
+    lines = [
+      'No drag: KE at the ground = GPE at the start',
+      '½ m v² = m g h',
+      'The mass cancels. Rearrange: v = √(2 g h)',
+      `v = √(2 × ${g} × ${h})`,
+      `v = ${n(vImpact)} m/s`,
+    ];
+  }
+  steps.push({
+    id: 'impact', title: 'Impact speed without drag', unit: 'm/s', value: vImpact, lines,
+    check: { label: 'Impact speed in the simulation without drag', value: resNoDrag.vEnd },
+    note: withDrag ? `With drag the simulation lands at ${n(res.vEnd)} m/s: the rest of the energy went to the thermal store of the air.` : undefined,
+  });
+
+  if (!withDrag) return steps;
+  const atm = atmosphereAt(alt, atmosModel, rho0, H, body);
+  const rho = atm.rho;
+  steps.push({
+    id: 'density', title: `Air density at ${alt} m`, unit: 'kg/m³', value: rho,
+    lines: atmosModel === 'isa' && body.isa
+      ? ['From the layered standard atmosphere at this height:', `ρ = ${n(rho)} kg/m³`]
+      : ['ρ = ρ₀ e^(−h ÷ H)', `ρ = ${rho0} × e^(−${alt} ÷ ${H})`, `ρ = ${n(rho)} kg/m³`],
+    check: null,
+  });
+  if (!(rho > 0)) return steps;
+
+  const gH = gAt(alt, gravityModel, body), gText = real ? b(gH) : String(g);
+  const gLine = real ? [`g at this height: g = g₀ (R ÷ (R + h))² = ${body.g0} × (${b(body.R)} ÷ (${b(body.R)} + ${alt}))² = ${n(gH)} N/kg`] : [];
+  const vSim = speedAt(res.series, alt);
+  const F = vSim != null ? 0.5 * rho * Cd * A * vSim * vSim : null;
+  steps.push({
+    id: 'drag', title: `Drag force at ${alt} m`, unit: 'N', value: F,
+    lines: vSim == null
+      ? ['F = ½ ρ C_d A v²', 'The run never passes this height, so there is no speed to put in.']
+      : [
+        'F = ½ ρ C_d A v²',
+        `In the simulation the speed at ${alt} m is ${n(vSim)} m/s`,
+        `F = ½ × ${b(rho)} × ${Cd} × ${A} × ${b(vSim)}²`,
+        `F = ${n(F)} N`,
+      ],
+    check: null,
+    note: `For comparison, the weight there is m g = ${m} × ${gText} = ${n(m * gH)} N. Uses the starting C_d and A, without the parachute, posture changes or Mach effects.`,
+  });
+
+  const vt = Math.sqrt(2 * m * gH / (rho * Cd * A));
+  steps.push({
+    id: 'terminal', title: `Terminal speed at ${alt} m`, unit: 'm/s', value: vt,
+    lines: [
+      'At terminal speed the drag balances the weight: ½ ρ C_d A v² = m g',
+      'Rearrange: v = √(2 m g ÷ (ρ C_d A))',
+      ...gLine,
+      `v = √(2 × ${m} × ${gText} ÷ (${b(rho)} × ${Cd} × ${A}))`,
+      `v = ${n(vt)} m/s`,
+    ],
+    check: vSim != null ? { label: `Speed in the simulation at ${alt} m`, value: vSim } : null,
+    note: 'The simulated speed only matches once drag has had time to balance the weight; high up the jumper is still speeding up (or already slowing down).',
+  });
+  return steps;
+}